@@ -3,408 +3,844 @@ let stockData = []; // Contains: date, sp500, cape, dividend, earnings, cpi
 let homeData = [];  // Contains: date, realPrice, buildingCost
 let goldData = [];  // Contains: date, price
 let btcData = [];   // Contains: date, price
-let stats = null;
 let historicalEvents = [];
+let userEvents = []; // Events added by the user: { id, date, endDate, label, color }
 let currentChart = null;
+let chartedDatasets = []; // Datasets behind the current chart, as createDataset produced them (for export)
+let chartedTitle = '';
+let currentChartConfig = null; // Config passed to Chart.js for the current chart (re-rendered for image export)
+let analysisChart = null; // Secondary chart in the analysis panel
 
 // Base CPI for inflation calculations (will be set to latest CPI)
 let baseCPI = null;
 
-// Custom assets from Polygon.io (cached)
-let customAssets = {}; // Format: { 'TICKER': { name: 'Name', color: '#color', data: [{date, price}] } }
-
-// Asset metadata - defines what data is available
-const assetMetadata = {
-    'cape': {
-        name: 'CAPE Ratio',
-        code: 'cape',
-        description: 'Cyclically Adjusted Price-to-Earnings ratio',
-        keywords: ['cape', 'shiller', 'pe', 'ratio'],
-        color: '#667eea',
-        dataFields: {
-            'real': null, // CAPE doesn't have real/nominal distinction
-            'nominal': null,
-            'raw': 'cape'
-        }
-    },
-    'home': {
-        name: 'Home Price Index',
-        code: 'home',
-        description: 'US Real Home Price Index',
-        keywords: ['home', 'house', 'housing', 'real estate', 'property'],
-        color: '#28a745',
-        dataFields: {
-            'real': 'homePriceReal',
-            'nominal': 'homePriceNominal',
-            'raw': 'homePriceReal'
-        }
+// Custom assets from Polygon.io or user imports (cached)
+// Format: { 'TICKER': { name: 'Name', color: '#color', basis: 'nominal', source: 'polygon' | 'import', data: [{date, price}] } }
+let customAssets = {};
+
+// Colors handed out to custom assets in order
+const CUSTOM_ASSET_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#e67e22', '#34495e'];
+
+// When each data source was last fetched from its API (source key -> Date)
+let dataFetchedAt = {};
+
+// Freshness of the data on screen: 'live', 'cached', 'refreshing' or 'offline'
+let dataFreshness = 'live';
+
+// Per-source load status (source key -> { state, error })
+// state: 'ok' (fresh from the API), 'cached' (from offline cache), 'stale' (refresh failed, using cache)
+//        or 'error' (no data available)
+let sourceStatus = {};
+
+// Sorted time indexes for each data series, keyed by source ('stock', 'home', 'gold', 'btc' or a custom ticker)
+let seriesIndexes = {};
+
+// How a series value is matched to a date when no point falls exactly on it
+const DATE_MATCH_MODES = {
+    'nearest': { label: 'Nearest point' },
+    'previous': { label: 'Last known value' },
+    'interpolate': { label: 'Interpolated' }
+};
+const DEFAULT_DATE_MATCH = 'nearest';
+
+// Matching used by lookups that don't ask for a specific one (set from the Date Matching control)
+let dateMatchMode = DEFAULT_DATE_MATCH;
+
+// Sparse series (Bitcoin, custom tickers) return null this far before their first data point
+const SERIES_START_TOLERANCE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Data sources - where each raw series is fetched from and how it is parsed
+// derive (optional) adds computed fields to the parsed points whenever the source is loaded, fresh or cached
+const DATA_SOURCES = {
+    stock: {
+        name: 'Shiller Stock Market Data',
+        url: 'https://posix4e.github.io/shiller_wrapper_data/data/stock_market_data.json',
+        format: 'json',
+        parse: parseStockData,
+        // Every real/nominal conversion is based on the latest CPI
+        validate: data => {
+            const latestCPI = data[data.length - 1].cpi;
+            if (!(latestCPI > 0)) throw new Error('latest data point has no CPI value');
+        },
+        derive: deriveStockFields
     },
-    'sp500': {
-        name: 'S&P 500',
-        code: 'sp500',
-        description: 'S&P 500 Stock Market Index',
-        keywords: ['sp500', 's&p', 'spy', 'stock', 'market', 'index'],
-        color: '#dc3545',
-        dataFields: {
-            'real': 'sp500Real',
-            'nominal': 'sp500Nominal',
-            'raw': 'sp500Real'
-        }
+    home: {
+        name: 'Shiller Home Price Data',
+        url: 'https://posix4e.github.io/shiller_wrapper_data/data/home_price_data.json',
+        format: 'json',
+        parse: parseHomeData
     },
-    'gold': {
-        name: 'Gold',
-        code: 'gold',
-        description: 'Gold Price per Ounce',
-        keywords: ['gold', 'gld', 'precious', 'metal'],
-        color: '#ffc107',
-        dataFields: {
-            'real': 'goldReal',
-            'nominal': 'goldNominal',
-            'raw': 'goldReal'
-        }
+    gold: {
+        name: 'FreeGoldAPI',
+        url: 'https://freegoldapi.com/data/latest.csv',
+        format: 'csv',
+        parse: parseDatePriceCsv
     },
-    'btc': {
-        name: 'Bitcoin',
-        code: 'btc',
-        description: 'Bitcoin (BTC) Price',
-        keywords: ['btc', 'bitcoin', 'crypto', 'cryptocurrency'],
-        color: '#f7931a',
-        dataFields: {
-            'real': 'btcReal',
-            'nominal': 'btcNominal',
-            'raw': 'btcNominal'
-        }
+    btc: {
+        name: 'DailySatPrice',
+        url: 'https://dailysatprice.com/data/latest.csv',
+        format: 'csv',
+        parse: parseDatePriceCsv
     }
 };
 
-// Get the appropriate data array for an asset
-function getDataArrayForAsset(asset) {
-    // Map assets to their raw data sources
-    if (asset === 'cape' || asset === 'sp500') return stockData;
-    if (asset === 'home') return homeData;
-    if (asset === 'gold') return goldData;
-    if (asset === 'btc') return btcData;
+// Asset registry - every built-in chartable series is declared here
+// Each asset declares:
+//   source: key in DATA_SOURCES whose data array drives the series
+//   field:  property of each data point holding the value (or value(point) for derived series)
+//   basis:  'real' (already inflation-adjusted), 'nominal' (converted to real with CPI) or 'ratio' (unitless)
+//   unit:   label used for amounts valued in this asset (calculator results)
+//   startTolerance: optional ms before the first data point that lookups still match
+//   requiredField: optional field the source data must have for the asset to be offered at all
+const assetRegistry = {};
+
+// Register a built-in asset
+function registerAsset(definition) {
+    assetRegistry[definition.code] = {
+        keywords: [],
+        field: 'price',
+        basis: 'nominal',
+        ...definition
+    };
+    return assetRegistry[definition.code];
+}
+
+registerAsset({
+    code: 'cape',
+    name: 'CAPE Ratio',
+    description: 'Cyclically Adjusted Price-to-Earnings ratio',
+    keywords: ['cape', 'shiller', 'pe', 'ratio'],
+    color: '#667eea',
+    source: 'stock',
+    field: 'cape',
+    basis: 'ratio',
+    unit: 'CAPE units'
+});
+
+registerAsset({
+    code: 'home',
+    name: 'Home Price Index',
+    description: 'US Real Home Price Index',
+    keywords: ['home', 'house', 'housing', 'real estate', 'property'],
+    color: '#28a745',
+    source: 'home',
+    field: 'realPrice',
+    basis: 'real',
+    unit: 'homes'
+});
+
+registerAsset({
+    code: 'buildingcost',
+    name: 'Building Cost Index',
+    description: 'US Real Building Cost Index (construction costs)',
+    keywords: ['building cost', 'construction', 'home', 'housing', 'materials', 'labor'],
+    color: '#8d6e63',
+    source: 'home',
+    field: 'buildingCost',
+    basis: 'real',
+    unit: 'building cost units'
+});
+
+registerAsset({
+    code: 'homecost',
+    name: 'Home Price / Building Cost',
+    description: 'Home Price Index relative to building costs (land and speculation premium)',
+    keywords: ['home', 'house', 'housing', 'building cost', 'construction', 'land', 'ratio'],
+    color: '#5d8a3a',
+    source: 'home',
+    value: point => point.realPrice > 0 && point.buildingCost > 0 ? point.realPrice / point.buildingCost : null,
+    basis: 'ratio',
+    unit: 'price-to-cost units'
+});
+
+registerAsset({
+    code: 'sp500',
+    name: 'S&P 500',
+    description: 'S&P 500 Stock Market Index',
+    keywords: ['sp500', 's&p', 'spy', 'stock', 'market', 'index'],
+    color: '#dc3545',
+    source: 'stock',
+    field: 'sp500',
+    basis: 'real',
+    unit: 'S&P 500 units'
+});
+
+registerAsset({
+    code: 'sp500tr',
+    name: 'S&P 500 Total Return',
+    description: 'S&P 500 with dividends reinvested monthly',
+    keywords: ['sp500', 's&p', 'total return', 'tr', 'dividends', 'reinvested', 'stock'],
+    color: '#a71d2a',
+    source: 'stock',
+    field: 'sp500TotalReturn',
+    basis: 'real',
+    unit: 'S&P 500 TR units'
+});
+
+// Fundamentals and yields derived from the Shiller stock data
+registerAsset({
+    code: 'earnings',
+    name: 'Real Earnings',
+    description: 'S&P 500 earnings per share (Shiller)',
+    keywords: ['earnings', 'eps', 'profits', 'fundamentals'],
+    color: '#6610f2',
+    source: 'stock',
+    field: 'earnings',
+    basis: 'real',
+    unit: 'S&P 500 EPS units'
+});
+
+registerAsset({
+    code: 'dividends',
+    name: 'Real Dividends',
+    description: 'S&P 500 dividends per share (Shiller)',
+    keywords: ['dividends', 'dividend', 'dps', 'payout', 'fundamentals'],
+    color: '#e83e8c',
+    source: 'stock',
+    field: 'dividend',
+    basis: 'real',
+    unit: 'S&P 500 DPS units'
+});
+
+registerAsset({
+    code: 'divyield',
+    name: 'Dividend Yield',
+    description: 'S&P 500 dividend yield (%)',
+    keywords: ['dividend yield', 'yield', 'dividends', 'income'],
+    color: '#fd7e14',
+    source: 'stock',
+    value: point => point.dividend > 0 && point.sp500 > 0 ? point.dividend / point.sp500 * 100 : null,
+    basis: 'ratio',
+    unit: '% dividend yield'
+});
+
+registerAsset({
+    code: 'earningsyield',
+    name: 'Earnings Yield (1/CAPE)',
+    description: 'Cyclically adjusted earnings yield, 100 / CAPE (%)',
+    keywords: ['earnings yield', 'yield', 'cape', 'valuation', 'equity risk premium'],
+    color: '#20c997',
+    source: 'stock',
+    value: point => point.cape > 0 ? 100 / point.cape : null,
+    basis: 'ratio',
+    unit: '% earnings yield'
+});
+
+registerAsset({
+    code: 'longrate',
+    name: '10-Year Treasury Yield',
+    description: 'Long-term US government bond yield, GS10 (%)',
+    keywords: ['bond', 'treasury', 'yield', 'rates', 'gs10', 'interest'],
+    color: '#17a2b8',
+    source: 'stock',
+    value: point => point.longRate > 0 ? point.longRate : null,
+    requiredField: 'longRate',
+    basis: 'ratio',
+    unit: '% bond yield'
+});
+
+registerAsset({
+    code: 'ecy',
+    name: 'Excess CAPE Yield',
+    description: 'Earnings yield (1/CAPE) minus the real 10-year bond yield (%)',
+    keywords: ['excess cape yield', 'ecy', 'equity risk premium', 'erp', 'yield', 'bond', 'valuation'],
+    color: '#343a40',
+    source: 'stock',
+    value: point => point.cape > 0 && Number.isFinite(point.realLongRate) ? 100 / point.cape - point.realLongRate : null,
+    requiredField: 'longRate',
+    basis: 'ratio',
+    unit: '% excess yield'
+});
+
+registerAsset({
+    code: 'gold',
+    name: 'Gold',
+    description: 'Gold Price per Ounce',
+    keywords: ['gold', 'gld', 'precious', 'metal'],
+    color: '#ffc107',
+    source: 'gold',
+    field: 'price',
+    basis: 'nominal',
+    unit: 'oz gold'
+});
+
+registerAsset({
+    code: 'btc',
+    name: 'Bitcoin',
+    description: 'Bitcoin (BTC) Price',
+    keywords: ['btc', 'bitcoin', 'crypto', 'cryptocurrency'],
+    color: '#f7931a',
+    source: 'btc',
+    field: 'price',
+    basis: 'nominal',
+    unit: 'BTC',
+    // Bitcoin didn't exist before 2009, so don't match dates before our data starts
+    startTolerance: SERIES_START_TOLERANCE_MS
+});
+
+// USD pseudo-denominators (not assets, but selectable wherever a denominator is)
+const USD_DENOMINATORS = {
+    'real': { name: 'Real USD', longName: 'Real USD (Inflation-Adjusted)', description: 'Inflation-Adjusted USD' },
+    'nominal': { name: 'Nominal USD', longName: 'Nominal USD', description: 'Current USD (not adjusted)' }
+};
+
+// Get the registry definition for a built-in or custom asset
+function getAssetDefinition(code) {
+    if (assetRegistry[code]) return assetRegistry[code];
 
-    // Check if it's a custom asset (ticker symbol)
-    if (customAssets[asset] && customAssets[asset].data) {
-        return customAssets[asset].data;
+    const custom = customAssets[code];
+    if (custom && custom.data) {
+        return {
+            code: code,
+            name: custom.longName || custom.name,
+            description: getCustomAssetDescription(custom),
+            keywords: [],
+            color: custom.color,
+            source: code,
+            field: 'price',
+            basis: custom.basis || 'nominal',
+            unit: `${custom.name} units`,
+            // Custom assets have limited date ranges (2 years for Polygon free tier)
+            startTolerance: SERIES_START_TOLERANCE_MS,
+            custom: true
+        };
     }
 
     return null;
 }
 
-// Get CPI for a date (nearest match from stock data)
-function getCPIForDate(targetDate) {
-    if (stockData.length === 0) return baseCPI;
-
-    const target = new Date(targetDate);
-    let closest = stockData[0];
-    let minDiff = Math.abs(target - new Date(stockData[0].date));
+// Describe where a custom asset comes from (search results and the compare select)
+function getCustomAssetDescription(custom) {
+    switch (custom.source) {
+        case 'import': return `Imported from ${custom.fileName || 'file'} (${custom.basis === 'real' ? 'real' : 'nominal'} USD)`;
+        case 'formula': return `Formula: ${custom.expression}`;
+        case 'basket': return `Basket: ${describeBasket(custom)}`;
+        default: return 'Custom asset from Polygon.io';
+    }
+}
 
-    for (const stock of stockData) {
-        const diff = Math.abs(target - new Date(stock.date));
-        if (diff < minDiff) {
-            minDiff = diff;
-            closest = stock;
-        }
+// Get the loaded data array for a data source (built-in source key or custom ticker)
+function getSourceData(source) {
+    switch (source) {
+        case 'stock': return stockData;
+        case 'home': return homeData;
+        case 'gold': return goldData;
+        case 'btc': return btcData;
+        default: return customAssets[source]?.data || null;
     }
+}
+
+// Get the time index for a data source, building it lazily if needed
+function getSourceIndex(source) {
+    if (seriesIndexes[source]) return seriesIndexes[source];
 
-    return closest.cpi || baseCPI;
+    const data = getSourceData(source);
+    return data ? indexSeries(source, data) : null;
 }
 
-// Get value from data point for a specific asset and mode
-function getAssetValue(dataPoint, asset, mode) {
-    const metadata = assetMetadata[asset];
-    const isCustomAsset = !metadata && customAssets[asset];
-
-    if (!metadata && !isCustomAsset) return null;
-
-    // Get the raw value for the asset
-    let assetValue;
-
-    if (asset === 'cape') {
-        assetValue = dataPoint.cape || 0;
-    } else if (asset === 'home') {
-        assetValue = dataPoint.realPrice || 0; // Home data is already real
-    } else if (asset === 'sp500') {
-        assetValue = dataPoint.sp500 || 0; // Stock data is real
-    } else if (asset === 'gold') {
-        // For gold data points, the price is already there
-        const goldPrice = dataPoint.price || 0;
-        if (!goldPrice) return null;
-
-        if (mode === 'nominal') {
-            assetValue = goldPrice;
-        } else {
-            // Convert to real using CPI
-            const cpi = getCPIForDate(dataPoint.date);
-            assetValue = goldPrice * (baseCPI / cpi);
-        }
-    } else if (asset === 'btc') {
-        // For Bitcoin data points, the price is nominal
-        const btcPrice = dataPoint.price || 0;
-        if (!btcPrice) return null;
+// Build a time index over a date-sorted data array so lookups can binary search
+function buildSeriesIndex(data) {
+    const times = new Float64Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        times[i] = new Date(data[i].date).getTime();
+    }
+    return { data, times };
+}
 
-        if (mode === 'nominal') {
-            assetValue = btcPrice;
-        } else {
-            // Convert to real using CPI
-            const cpi = getCPIForDate(dataPoint.date);
-            assetValue = btcPrice * (baseCPI / cpi);
-        }
-    } else if (isCustomAsset) {
-        // For custom assets from Polygon.io, the price is nominal
-        const price = dataPoint.price || 0;
-        if (!price) return null;
+// Build (or rebuild) the index for a data source and store it under its key
+function indexSeries(key, data) {
+    seriesIndexes[key] = buildSeriesIndex(data || []);
+    return seriesIndexes[key];
+}
 
-        if (mode === 'nominal') {
-            assetValue = price;
+// Find the last position whose time is <= target (-1 if target is before the series)
+function findFloorIndex(times, target) {
+    let low = 0;
+    let high = times.length - 1;
+    let result = -1;
+
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (times[mid] <= target) {
+            result = mid;
+            low = mid + 1;
         } else {
-            // Convert to real using CPI
-            const cpi = getCPIForDate(dataPoint.date);
-            assetValue = price * (baseCPI / cpi);
+            high = mid - 1;
         }
     }
 
-    // Now handle the mode/denominator
-    if (mode === 'real') {
-        return assetValue;
-    } else if (mode === 'nominal') {
-        // Convert real to nominal using CPI
-        if (asset === 'gold' || asset === 'btc') {
-            return assetValue; // Already handled above
-        }
-        const cpi = dataPoint.cpi || getCPIForDate(dataPoint.date);
-        return assetValue * (cpi / baseCPI);
-    } else {
-        // Asset-denominated mode (e.g., home/gold, sp500/gold)
-        // Need to look up the denominator value from its own data source for this date
-        let denominatorValue;
-
-        if (mode === 'gold') {
-            const goldPrice = getGoldPriceForDate(dataPoint.date);
-            if (!goldPrice) return null;
-            // Convert to real gold price
-            const cpi = getCPIForDate(dataPoint.date);
-            denominatorValue = goldPrice * (baseCPI / cpi);
-        } else if (mode === 'btc') {
-            const btcPrice = getBitcoinPriceForDate(dataPoint.date);
-            if (!btcPrice) return null;
-            // Convert to real Bitcoin price
-            const cpi = getCPIForDate(dataPoint.date);
-            denominatorValue = btcPrice * (baseCPI / cpi);
-        } else if (mode === 'home') {
-            const homePrice = getHomePriceForDate(dataPoint.date);
-            if (!homePrice) return null;
-            denominatorValue = homePrice; // Already real
-        } else if (mode === 'sp500') {
-            const sp500Price = getSP500ForDate(dataPoint.date);
-            if (!sp500Price) return null;
-            denominatorValue = sp500Price; // Already real
-        } else if (mode === 'cape') {
-            const capeValue = getCapeForDate(dataPoint.date);
-            if (!capeValue) return null;
-            denominatorValue = capeValue;
-        } else if (customAssets[mode]) {
-            // Custom asset as denominator
-            const customPrice = getCustomAssetPriceForDate(mode, dataPoint.date);
-            if (!customPrice) return null;
-            // Convert to real price
-            const cpi = getCPIForDate(dataPoint.date);
-            denominatorValue = customPrice * (baseCPI / cpi);
-        } else {
-            return null;
-        }
+    return result;
+}
+
+// Look up a field of an indexed series for a date
+// field may be a property name or an accessor function (point => value)
+// Options:
+//   match: 'nearest' (closest point), 'previous' (last point on or before the date),
+//          or 'interpolate' (linear between the surrounding points)
+//   startTolerance: return null for dates this many ms before the first point
+function lookupSeriesValue(index, targetDate, field, options = {}) {
+    if (!index || index.times.length === 0) return null;
 
-        if (!denominatorValue || denominatorValue === 0) return null;
-        return assetValue / denominatorValue;
+    const match = options.match || dateMatchMode;
+    const startTolerance = options.startTolerance ?? Infinity;
+    const { data, times } = index;
+    const target = targetDate instanceof Date ? targetDate.getTime() : new Date(targetDate).getTime();
+
+    if (isNaN(target)) return null;
+    if (target < times[0] - startTolerance) return null;
+
+    const read = typeof field === 'function' ? field : point => point[field];
+    const floor = findFloorIndex(times, target);
+
+    if (match === 'previous') {
+        return floor >= 0 ? read(data[floor]) : null;
     }
-}
 
-// Get gold price for a specific date (nearest match)
-function getGoldPriceForDate(targetDate) {
-    if (goldData.length === 0) return null;
+    // Clamp to the ends of the series
+    if (floor < 0) return read(data[0]);
+    if (floor === times.length - 1) return read(data[floor]);
 
-    const target = new Date(targetDate);
-    let closest = goldData[0];
-    let minDiff = Math.abs(target - new Date(goldData[0].date));
+    const before = read(data[floor]);
+    const after = read(data[floor + 1]);
 
-    for (const gold of goldData) {
-        const diff = Math.abs(target - new Date(gold.date));
-        if (diff < minDiff) {
-            minDiff = diff;
-            closest = gold;
+    if (match === 'interpolate') {
+        const span = times[floor + 1] - times[floor];
+        const weight = span > 0 ? (target - times[floor]) / span : 0;
+        if (before == null || after == null) {
+            return weight < 0.5 ? before : after;
         }
+        return before + (after - before) * weight;
     }
 
-    return closest.price;
+    // Nearest: ties go to the earlier point, matching the old linear scans
+    return (target - times[floor]) <= (times[floor + 1] - target) ? before : after;
 }
 
-// Get home price for a specific date (nearest match)
-function getHomePriceForDate(targetDate) {
-    if (homeData.length === 0) return null;
+// Change the default date matching; formulas and baskets are recomputed since they're built from lookups
+function setDateMatchMode(mode) {
+    const next = DATE_MATCH_MODES[mode] ? mode : DEFAULT_DATE_MATCH;
+    if (next === dateMatchMode) return;
 
-    const target = new Date(targetDate);
-    let closest = homeData[0];
-    let minDiff = Math.abs(target - new Date(homeData[0].date));
+    dateMatchMode = next;
+    refreshDerivedAssets();
+}
 
-    for (const home of homeData) {
-        const diff = Math.abs(target - new Date(home.date));
-        if (diff < minDiff) {
-            minDiff = diff;
-            closest = home;
-        }
-    }
+// Get the appropriate data array for an asset
+function getDataArrayForAsset(asset) {
+    const definition = getAssetDefinition(asset);
+    if (!definition) return null;
+
+    const data = getSourceData(definition.source);
+    return data && data.length > 0 ? data : null;
+}
+
+// Read an asset's raw value (in its own basis) from one of its data points
+function readAssetValue(definition, dataPoint) {
+    return definition.value ? definition.value(dataPoint) : dataPoint[definition.field];
+}
+
+// Get CPI for a date (nearest match from stock data)
+function getCPIForDate(targetDate, match) {
+    if (stockData.length === 0) return baseCPI;
 
-    return closest.realPrice;
+    const cpi = lookupSeriesValue(seriesIndexes.stock, targetDate, 'cpi', { match });
+    return cpi || baseCPI;
 }
 
-// Get S&P 500 for a specific date (nearest match)
-function getSP500ForDate(targetDate) {
-    if (stockData.length === 0) return null;
+// Convert a value in the given basis to real (inflation-adjusted) terms (null without CPI data)
+function toRealValue(value, basis, date) {
+    if (basis !== 'nominal') return value;
+    const cpi = getCPIForDate(date);
+    if (!cpi || !baseCPI) return null;
+    return value * (baseCPI / cpi);
+}
 
-    const target = new Date(targetDate);
-    let closest = stockData[0];
-    let minDiff = Math.abs(target - new Date(stockData[0].date));
+// Convert a value in the given basis to nominal terms (null without CPI data)
+function toNominalValue(value, basis, date) {
+    if (basis !== 'real') return value;
+    const cpi = getCPIForDate(date);
+    if (!cpi || !baseCPI) return null;
+    return value * (cpi / baseCPI);
+}
 
-    for (const stock of stockData) {
-        const diff = Math.abs(target - new Date(stock.date));
-        if (diff < minDiff) {
-            minDiff = diff;
-            closest = stock;
-        }
-    }
+// Get an asset's raw value (in its own basis) for a specific date (nearest match)
+function getAssetPriceForDate(asset, targetDate, match) {
+    const definition = getAssetDefinition(asset);
+    if (!definition) return null;
 
-    return closest.sp500;
+    const data = getSourceData(definition.source);
+    if (!data || data.length === 0) return null;
+
+    const accessor = definition.value || definition.field;
+    return lookupSeriesValue(getSourceIndex(definition.source), targetDate, accessor, {
+        match,
+        startTolerance: definition.startTolerance
+    });
+}
+
+// Get an asset's real (inflation-adjusted) value for a specific date
+function getAssetRealValueForDate(asset, targetDate, match) {
+    const definition = getAssetDefinition(asset);
+    const value = getAssetPriceForDate(asset, targetDate, match);
+    if (value == null || Number.isNaN(value)) return null;
+    return toRealValue(value, definition.basis, targetDate);
 }
 
-// Get Bitcoin price for a specific date (nearest match)
-function getBitcoinPriceForDate(targetDate) {
-    if (btcData.length === 0) return null;
+// Get value from data point for a specific asset and mode
+function getAssetValue(dataPoint, asset, mode) {
+    const definition = getAssetDefinition(asset);
+    if (!definition) return null;
 
-    const target = new Date(targetDate);
-    const firstBtcDate = new Date(btcData[0].date);
+    // Get the raw value for the asset in its own basis
+    const rawValue = readAssetValue(definition, dataPoint);
+    if (rawValue == null || Number.isNaN(rawValue)) return null;
 
-    // Bitcoin didn't exist before 2009, so return null for dates before our data starts
-    // Allow some tolerance (30 days) for data alignment
-    const thirtyDays = 30 * 24 * 60 * 60 * 1000;
-    if (target < (firstBtcDate.getTime() - thirtyDays)) {
-        return null;
+    if (mode === 'real') {
+        return toRealValue(rawValue, definition.basis, dataPoint.date);
+    } else if (mode === 'nominal') {
+        return toNominalValue(rawValue, definition.basis, dataPoint.date);
     }
 
-    let closest = btcData[0];
-    let minDiff = Math.abs(target - new Date(btcData[0].date));
+    // Asset-denominated mode (e.g., home/gold, sp500/gold)
+    // Need to look up the denominator value from its own data source for this date
+    const denominatorDefinition = getAssetDefinition(mode);
+    if (!denominatorDefinition) return null;
 
-    for (const btc of btcData) {
-        const diff = Math.abs(target - new Date(btc.date));
-        if (diff < minDiff) {
-            minDiff = diff;
-            closest = btc;
-        }
+    // CPI cancels out of a same-basis ratio, so those still work without inflation data
+    if (denominatorDefinition.basis === definition.basis) {
+        const denominatorRaw = getAssetPriceForDate(mode, dataPoint.date);
+        if (!denominatorRaw) return null;
+        return rawValue / denominatorRaw;
     }
 
-    return closest.price;
+    const denominatorValue = getAssetRealValueForDate(mode, dataPoint.date);
+    if (!denominatorValue || denominatorValue === 0) return null;
+
+    const assetValue = toRealValue(rawValue, definition.basis, dataPoint.date);
+    if (assetValue === null) return null;
+    return assetValue / denominatorValue;
+}
+
+// Polygon.io history settings
+const POLYGON_HISTORY_STORAGE_KEY = 'polygon_history_years';
+const DEFAULT_POLYGON_HISTORY_YEARS = 2; // Free tier limit; 0 means everything Polygon has
+const POLYGON_EARLIEST_DATE = new Date(1990, 0, 1); // Requested start for "full history"
+const POLYGON_MAX_PAGES = 50; // Safety cap on next_url pages followed per request
+const POLYGON_REFRESH_AFTER_MS = 24 * 60 * 60 * 1000; // Re-fetch recent days after this long
+const POLYGON_COVERAGE_TOLERANCE_MS = 7 * 24 * 60 * 60 * 1000; // Weekends/holidays at range edges
+
+// Polygon.io request queue - the free tier allows 5 calls per minute
+const POLYGON_CALLS_PER_MINUTE = 5;
+const POLYGON_RATE_WINDOW_MS = 60 * 1000;
+const POLYGON_MAX_RETRIES = 4; // Retries after a 429 before giving up
+const POLYGON_BACKOFF_BASE_MS = 15 * 1000; // Doubles on each retry unless Retry-After says otherwise
+
+let polygonQueue = [];             // Waiting requests: [{ url, label, attempt, resolve, reject }]
+let polygonCallTimes = [];         // When recent calls were sent (sliding rate-limit window)
+let polygonQueueRunning = false;
+let polygonActiveLabel = null;     // Request currently on the wire
+let polygonWaitUntil = 0;          // Set while the queue sleeps for the rate limit or a backoff
+const polygonInFlight = new Map(); // Ticker -> pending fetchPolygonData promise
+
+// Queue a Polygon.io HTTP call; resolves with the Response once it has been sent within the rate limit
+function enqueuePolygonRequest(url, label) {
+    return new Promise((resolve, reject) => {
+        polygonQueue.push({ url, label, attempt: 0, resolve, reject });
+        updateRequestStatus();
+        processPolygonQueue();
+    });
+}
+
+// How long until another call fits in the rate-limit window
+function getPolygonRateLimitDelay() {
+    const now = Date.now();
+    polygonCallTimes = polygonCallTimes.filter(time => now - time < POLYGON_RATE_WINDOW_MS);
+    if (polygonCallTimes.length < POLYGON_CALLS_PER_MINUTE) return 0;
+    return polygonCallTimes[0] + POLYGON_RATE_WINDOW_MS - now;
+}
+
+// Backoff before retrying a 429, honoring Retry-After (seconds) when Polygon sends it
+function getPolygonRetryDelay(response, attempt) {
+    const retryAfter = parseInt(response.headers?.get?.('Retry-After'));
+    if (!isNaN(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+    return POLYGON_BACKOFF_BASE_MS * Math.pow(2, attempt);
+}
+
+// Sleep while showing a countdown in the request status
+async function waitForPolygonSlot(delay) {
+    polygonWaitUntil = Date.now() + delay;
+    updateRequestStatus();
+    await new Promise(resolve => setTimeout(resolve, delay));
+    polygonWaitUntil = 0;
 }
 
-// Get CAPE for a specific date (nearest match)
-function getCapeForDate(targetDate) {
-    if (stockData.length === 0) return null;
+// Send queued requests one at a time, spacing them to the rate limit and retrying 429s
+async function processPolygonQueue() {
+    if (polygonQueueRunning) return;
+    polygonQueueRunning = true;
+
+    while (polygonQueue.length > 0) {
+        const delay = getPolygonRateLimitDelay();
+        if (delay > 0) {
+            await waitForPolygonSlot(delay);
+            continue;
+        }
 
-    const target = new Date(targetDate);
-    let closest = stockData[0];
-    let minDiff = Math.abs(target - new Date(stockData[0].date));
+        const request = polygonQueue.shift();
+        polygonActiveLabel = request.label;
+        polygonCallTimes.push(Date.now());
+        updateRequestStatus();
+
+        try {
+            const response = await fetch(request.url);
+
+            if (response.status === 429 && request.attempt < POLYGON_MAX_RETRIES) {
+                const retryDelay = getPolygonRetryDelay(response, request.attempt);
+                console.warn(`Polygon.io rate limit hit for ${request.label}, retrying in ${Math.round(retryDelay / 1000)}s`);
+                request.attempt++;
+                polygonQueue.unshift(request);
+                polygonActiveLabel = null;
+                await waitForPolygonSlot(retryDelay);
+                continue;
+            }
 
-    for (const stock of stockData) {
-        const diff = Math.abs(target - new Date(stock.date));
-        if (diff < minDiff) {
-            minDiff = diff;
-            closest = stock;
+            request.resolve(response);
+        } catch (error) {
+            request.reject(error);
         }
+
+        polygonActiveLabel = null;
     }
 
-    return closest.cape;
+    polygonQueueRunning = false;
+    updateRequestStatus();
 }
 
-// Fetch data from Polygon.io for a custom ticker
-async function fetchPolygonData(ticker) {
-    // Check cache first
-    if (customAssets[ticker]) {
-        console.log(`Using cached data for ${ticker}`);
-        return customAssets[ticker];
-    }
+// Get the configured history depth in years (0 = full history)
+function getPolygonHistoryYears() {
+    const years = parseInt(localStorage.getItem(POLYGON_HISTORY_STORAGE_KEY));
+    return isNaN(years) ? DEFAULT_POLYGON_HISTORY_YEARS : years;
+}
 
-    const apiKey = getStoredApiKey();
-    if (!apiKey) {
-        throw new Error('No API key configured. Click the ⚙️ Settings button to set up your free Polygon.io API key.');
+function savePolygonHistoryYears(years) {
+    localStorage.setItem(POLYGON_HISTORY_STORAGE_KEY, String(years));
+}
+
+// Start date for a history depth in years (0 = full history)
+function getPolygonHistoryStart(years = getPolygonHistoryYears()) {
+    if (years <= 0) return new Date(POLYGON_EARLIEST_DATE);
+
+    const start = new Date();
+    start.setFullYear(start.getFullYear() - years);
+    return start;
+}
+
+// Format a date as YYYY-MM-DD for API URLs
+function formatApiDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// Merge two date-sorted series; points from `incoming` replace same-day points in `existing`
+function mergeSeriesData(existing, incoming) {
+    const byDay = new Map();
+    for (const point of [...existing, ...incoming]) {
+        byDay.set(formatApiDate(new Date(point.date)), point);
     }
+    return Array.from(byDay.values()).sort((a, b) => a.date - b.date);
+}
 
+// Read the message from a failed Polygon response
+async function readPolygonError(response) {
     try {
-        console.log(`Fetching data for ${ticker} from Polygon.io...`);
+        const json = await response.json();
+        return json.message || json.error || response.statusText;
+    } catch (error) {
+        return response.statusText;
+    }
+}
 
-        // Get historical data - Free tier only has 2 years of history
-        // Use 2 years to ensure free tier compatibility
-        const endDate = new Date().toISOString().split('T')[0];
-        const twoYearsAgo = new Date();
-        twoYearsAgo.setFullYear(twoYearsAgo.getFullYear() - 2);
-        const startDate = twoYearsAgo.toISOString().split('T')[0];
+// Whether a Polygon error means the key's plan doesn't cover the requested dates
+function isPolygonEntitlementError(status, message) {
+    return status === 403 && /plan|timeframe|entitle|upgrade/i.test(message || '');
+}
 
-        const url = `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/day/${startDate}/${endDate}?adjusted=true&sort=asc&limit=50000&apiKey=${apiKey}`;
+// Fetch every page of daily closes for a date range, following Polygon's next_url cursor
+// Returns { data, truncated, note } - truncated when the key's plan (or the page cap) cut the range short
+async function fetchPolygonRange(ticker, startDate, endDate, apiKey) {
+    let url = `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/day/${formatApiDate(startDate)}/${formatApiDate(endDate)}?adjusted=true&sort=asc&limit=50000&apiKey=${apiKey}`;
+    const data = [];
+    let pages = 0;
+    let truncated = false;
+    let note = null;
 
-        const response = await fetch(url);
+    while (url) {
+        const response = await enqueuePolygonRequest(url, pages > 0 ? `${ticker} (page ${pages + 1})` : ticker);
 
         if (!response.ok) {
+            const message = await readPolygonError(response);
+
+            // Keep what earlier pages returned when the plan stops us partway
+            if (isPolygonEntitlementError(response.status, message)) {
+                truncated = true;
+                note = message;
+                break;
+            }
+
             if (response.status === 401 || response.status === 403) {
                 throw new Error('Invalid API key. Please check your settings.');
+            } else if (response.status === 429) {
+                throw new Error(`Polygon.io rate limit reached (${POLYGON_CALLS_PER_MINUTE} calls/minute on the free tier). Please wait a minute and try again.`);
             } else if (response.status === 404) {
                 throw new Error(`Ticker ${ticker} not found. Make sure the symbol is correct.`);
             } else {
-                throw new Error(`Polygon API returned ${response.status}. ${response.statusText}`);
+                throw new Error(`Polygon API returned ${response.status}. ${message}`);
             }
         }
 
         const json = await response.json();
 
-        if (!json.results || json.results.length === 0) {
-            throw new Error(`No data found for ticker ${ticker}. Make sure the ticker symbol is correct.`);
-        }
-
-        const results = json.results;
-        const timestamps = results.map(r => r.t);
-        const prices = results.map(r => r.c); // Close prices
-
-        if (!timestamps || !prices) {
-            throw new Error(`Invalid data structure for ${ticker}`);
-        }
-
         // Convert to our format
         // Polygon.io timestamps are in milliseconds, not seconds
-        const data = [];
-        for (let i = 0; i < timestamps.length; i++) {
-            if (prices[i] !== null && !isNaN(prices[i])) {
+        for (const result of json.results || []) {
+            if (result.c !== null && !isNaN(result.c)) {
                 data.push({
-                    date: new Date(timestamps[i]),
-                    price: parseFloat(prices[i])
+                    date: new Date(result.t),
+                    price: parseFloat(result.c)
                 });
             }
         }
 
-        if (data.length === 0) {
-            throw new Error(`No valid price data for ${ticker}`);
+        pages++;
+        url = null;
+        if (json.next_url) {
+            if (pages < POLYGON_MAX_PAGES) {
+                url = `${json.next_url}${json.next_url.includes('?') ? '&' : '?'}apiKey=${apiKey}`;
+            } else {
+                truncated = true;
+                note = `Stopped after ${POLYGON_MAX_PAGES} pages`;
+            }
+        }
+    }
+
+    return { data, truncated, note };
+}
+
+// Date ranges a cached ticker still needs: older history beyond what was requested before,
+// and recent days once the cached copy is a day old
+function getMissingPolygonRanges(cached, requestedStart, now) {
+    if (!cached || !cached.data || cached.data.length === 0) {
+        return [{ start: requestedStart, end: now }];
+    }
+
+    const ranges = [];
+    const firstDate = new Date(cached.data[0].date);
+    const lastDate = new Date(cached.data[cached.data.length - 1].date);
+
+    // A range we already asked for counts as covered even if the plan truncated it
+    const coveredFrom = cached.coverage?.requestedStart
+        ? new Date(Math.min(new Date(cached.coverage.requestedStart).getTime(), firstDate.getTime()))
+        : firstDate;
+
+    if (requestedStart.getTime() < coveredFrom.getTime() - POLYGON_COVERAGE_TOLERANCE_MS) {
+        ranges.push({ start: requestedStart, end: firstDate });
+    }
+
+    const fetchedAt = cached.fetchedAt ? new Date(cached.fetchedAt).getTime() : 0;
+    if (now - fetchedAt > POLYGON_REFRESH_AFTER_MS && now - lastDate > POLYGON_REFRESH_AFTER_MS) {
+        ranges.push({ start: lastDate, end: now });
+    }
+
+    return ranges;
+}
+
+// Fetch data from Polygon.io for a custom ticker
+// Concurrent requests for the same ticker share one in-flight fetch
+function fetchPolygonData(ticker) {
+    if (polygonInFlight.has(ticker)) {
+        return polygonInFlight.get(ticker);
+    }
+
+    const request = loadPolygonTicker(ticker).finally(() => {
+        polygonInFlight.delete(ticker);
+        updateRequestStatus();
+    });
+    polygonInFlight.set(ticker, request);
+    updateRequestStatus();
+    return request;
+}
+
+// Load a ticker's configured history depth, following pagination, and merge new data into the cached series
+async function loadPolygonTicker(ticker) {
+    const cached = customAssets[ticker];
+    const requestedStart = getPolygonHistoryStart();
+    const now = new Date();
+    const missingRanges = getMissingPolygonRanges(cached, requestedStart, now);
+
+    // Check cache first
+    if (cached && missingRanges.length === 0) {
+        console.log(`Using cached data for ${ticker}`);
+        return cached;
+    }
+
+    const apiKey = getStoredApiKey();
+    if (!apiKey) {
+        if (cached) return cached;
+        throw new Error('No API key configured. Click the ⚙️ Settings button to set up your free Polygon.io API key.');
+    }
+
+    try {
+        console.log(`Fetching data for ${ticker} from Polygon.io (from ${formatApiDate(missingRanges[0].start)})...`);
+
+        let data = cached ? cached.data : [];
+        let truncated = false;
+        let note = null;
+
+        for (const range of missingRanges) {
+            let result = await fetchPolygonRange(ticker, range.start, range.end, apiKey);
+
+            // Free keys reject ranges beyond their window outright: fall back to what the plan allows
+            const freeTierStart = getPolygonHistoryStart(DEFAULT_POLYGON_HISTORY_YEARS);
+            if (result.data.length === 0 && result.truncated && range.start < freeTierStart) {
+                const fallback = await fetchPolygonRange(ticker, freeTierStart, range.end, apiKey);
+                result = { data: fallback.data, truncated: true, note: result.note };
+            }
+
+            data = mergeSeriesData(data, result.data);
+            if (result.truncated) {
+                truncated = true;
+                note = result.note;
+            }
         }
 
-        // Generate a random color for this asset
-        const colors = ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#e67e22', '#34495e'];
-        const color = colors[Object.keys(customAssets).length % colors.length];
+        if (data.length === 0) {
+            throw new Error(`No data found for ticker ${ticker}. Make sure the ticker symbol is correct.`);
+        }
 
         // Cache the data
-        customAssets[ticker] = {
+        registerCustomAsset(ticker, {
             name: ticker.toUpperCase(),
             longName: ticker.toUpperCase(),
-            color: color,
-            data: data
-        };
+            color: cached?.color || nextCustomAssetColor(),
+            basis: 'nominal',
+            source: 'polygon',
+            data: data,
+            fetchedAt: now,
+            coverage: {
+                requestedStart: cached?.coverage?.requestedStart && new Date(cached.coverage.requestedStart) < requestedStart
+                    ? cached.coverage.requestedStart
+                    : requestedStart,
+                truncated: truncated,
+                note: note
+            }
+        });
+
+        console.log(`✓ Fetched ${ticker}: ${data.length} data points (${data[0].date.getFullYear()}-${data[data.length-1].date.getFullYear()})`);
 
-        console.log(`✓ Fetched ${data.length} data points for ${ticker} (${data[0].date.getFullYear()}-${data[data.length-1].date.getFullYear()})`);
+        if (truncated) {
+            const message = `${ticker}: only partial history loaded (data starts ${data[0].date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}, requested ${requestedStart.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}). ${note || 'Your Polygon.io plan limits how far back data is available.'}`;
+            console.warn(message);
+            showNotice(message);
+        }
 
         return customAssets[ticker];
 
@@ -414,120 +850,572 @@ async function fetchPolygonData(ticker) {
     }
 }
 
-// Get custom asset price for a specific date (nearest match)
-function getCustomAssetPriceForDate(ticker, targetDate) {
-    if (!customAssets[ticker] || !customAssets[ticker].data) return null;
+// Pick the next color for a new custom asset
+function nextCustomAssetColor() {
+    return CUSTOM_ASSET_COLORS[Object.keys(customAssets).length % CUSTOM_ASSET_COLORS.length];
+}
+
+// Add a custom asset (Polygon ticker or import): index it, persist it and offer it as a denominator
+function registerCustomAsset(code, asset) {
+    customAssets[code] = asset;
+    indexSeries(code, asset.data);
 
-    const data = customAssets[ticker].data;
-    const target = new Date(targetDate);
-    const firstDate = new Date(data[0].date);
+    writeCachedCustomAsset(code, asset)
+        .catch(error => console.warn(`Could not cache ${code}:`, error));
 
-    // Custom assets have limited date ranges (2 years for Polygon free tier)
-    // Return null for dates significantly before the data starts
-    const thirtyDays = 30 * 24 * 60 * 60 * 1000;
-    if (target < (firstDate.getTime() - thirtyDays)) {
-        return null;
+    // Formulas and baskets built on this asset pick up its new data
+    if (!DERIVED_ASSET_SOURCES[asset.source]) {
+        refreshDerivedAssets();
     }
 
-    let closest = data[0];
-    let minDiff = Math.abs(target - new Date(data[0].date));
-
-    for (const item of data) {
-        const diff = Math.abs(target - new Date(item.date));
-        if (diff < minDiff) {
-            minDiff = diff;
-            closest = item;
-        }
+    if (document.getElementById('compareDenominator')) {
+        populateDenominatorSelect();
     }
 
-    return closest.price;
+    return asset;
 }
 
-// Search for assets (built-in + custom tickers)
-function searchAssets(query, isDenominator = false) {
-    const results = [];
-    const lowerQuery = query.toLowerCase().trim();
+// Remove a custom asset from memory and the offline cache
+function removeCustomAsset(code) {
+    delete customAssets[code];
+    delete seriesIndexes[code];
 
-    if (!lowerQuery) {
-        // For denominator, include real/nominal options
-        if (isDenominator) {
-            results.push({
-                code: 'real',
-                name: 'Real USD',
-                description: 'Inflation-Adjusted USD',
-                type: 'builtin'
-            });
-            results.push({
-                code: 'nominal',
-                name: 'Nominal USD',
-                description: 'Current USD (not adjusted)',
-                type: 'builtin'
-            });
+    deleteCachedCustomAsset(code)
+        .catch(error => console.warn(`Could not remove cached ${code}:`, error));
+
+    refreshDerivedAssets();
+    populateDenominatorSelect();
+}
+
+// Parse a user-supplied series: a date,price CSV (header optional) or a JSON array
+// JSON may be [{date, price}], [[date, price]] or { data: [...] }; value/close are accepted for price
+function parseImportedSeries(text, fileName = '') {
+    const trimmed = text.trim();
+    if (!trimmed) {
+        throw new Error('The file is empty');
+    }
+
+    let data;
+    if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        let json;
+        try {
+            json = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
         }
 
-        // Return all built-in assets if no query
-        for (const [code, meta] of Object.entries(assetMetadata)) {
-            results.push({
-                code: code,
-                name: meta.name,
-                description: meta.description,
-                type: 'builtin'
-            });
+        const rows = Array.isArray(json) ? json : (json.data || []);
+        if (!Array.isArray(rows)) {
+            throw new Error('JSON must be an array of {date, price} objects or [date, price] pairs');
         }
-        return results;
+
+        data = rows
+            .map(row => Array.isArray(row)
+                ? { date: new Date(row[0]), price: parseFloat(row[1]) }
+                : { date: new Date(row.date || row.Date), price: parseFloat(row.price ?? row.value ?? row.close ?? row.Price) })
+            .filter(item => !isNaN(item.date.getTime()) && !isNaN(item.price) && item.price > 0)
+            .sort((a, b) => a.date - b.date);
+    } else {
+        // Reuse the gold/Bitcoin CSV parser, adding a header if the file has none
+        const firstLine = trimmed.split('\n')[0];
+        const hasHeader = isNaN(parseFloat(firstLine.split(',')[1]));
+        data = parseDatePriceCsv(hasHeader ? trimmed : `date,price\n${trimmed}`);
     }
 
-    // For denominator, search real/nominal first
-    if (isDenominator) {
-        if ('real'.includes(lowerQuery) || 'inflation'.includes(lowerQuery) || 'adjusted'.includes(lowerQuery)) {
-            results.push({
-                code: 'real',
-                name: 'Real USD',
-                description: 'Inflation-Adjusted USD',
-                type: 'builtin'
-            });
+    if (data.length === 0) {
+        throw new Error('No valid date/price rows found. Expected columns: date,price');
+    }
+
+    return data;
+}
+
+// Turn a display name into an asset code that isn't taken by a built-in or custom asset
+// Clashes get the suffix, then a counter (SILVER, SILVER-CSV, SILVER-CSV2, ...)
+function createImportCode(name, suffix = 'CSV') {
+    const base = name.toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'IMPORT';
+    const isTaken = code => !!(assetRegistry[code.toLowerCase()] || USD_DENOMINATORS[code.toLowerCase()] || customAssets[code]);
+
+    let code = base;
+    for (let count = 1; isTaken(code); count++) {
+        code = `${base}-${suffix}${count > 1 ? count : ''}`;
+    }
+    return code;
+}
+
+// Register a parsed import as a custom asset
+function importCustomSeries({ name, color, basis, data, fileName }) {
+    const code = createImportCode(name);
+
+    registerCustomAsset(code, {
+        name: code,
+        longName: name,
+        color: color,
+        basis: basis === 'real' ? 'real' : 'nominal',
+        source: 'import',
+        fileName: fileName,
+        data: data,
+        fetchedAt: new Date()
+    });
+
+    console.log(`✓ Imported ${data.length} data points as ${code} (${data[0].date.getFullYear()}-${data[data.length-1].date.getFullYear()})`);
+    return code;
+}
+
+// Formula assets - named expressions over other assets, e.g. sp500 / (gold * 0.5 + btc * 0.5)
+// Stored as custom assets with source 'formula'; their data is recomputed whenever the inputs reload
+// Lag units for operands like gold@12m (value 12 months earlier)
+const FORMULA_LAG_UNITS = { d: 'days', w: 'weeks', m: 'months', y: 'years' };
+
+// Split an expression into numbers, asset references, operators and parentheses
+// Codes with other characters (e.g. imported MY-SERIES) can be written in brackets: [MY-SERIES]
+function tokenizeFormula(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_.:]*|\[[^\]]+\])(?:@(\d+)([dwmy]))?|([-+*/()]))/iy;
+    let position = 0;
+
+    while (position < expression.length) {
+        if (!expression.slice(position).trim()) break;
+
+        pattern.lastIndex = position;
+        const match = pattern.exec(expression);
+        if (!match) {
+            throw new Error(`Unexpected "${expression.slice(position).trim()[0]}"`);
         }
-        if ('nominal'.includes(lowerQuery) || 'current'.includes(lowerQuery) || 'usd'.includes(lowerQuery)) {
-            results.push({
-                code: 'nominal',
-                name: 'Nominal USD',
-                description: 'Current USD (not adjusted)',
-                type: 'builtin'
-            });
+        position = pattern.lastIndex;
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[1]) });
+        } else if (match[2] !== undefined) {
+            const name = match[2].startsWith('[') ? match[2].slice(1, -1).trim() : match[2];
+            const lag = match[3] ? { amount: parseInt(match[3], 10), unit: FORMULA_LAG_UNITS[match[4].toLowerCase()] } : null;
+            tokens.push({ type: 'asset', name, lag });
+        } else {
+            tokens.push({ type: 'operator', value: match[5] });
         }
     }
 
-    // Search built-in assets
-    for (const [code, meta] of Object.entries(assetMetadata)) {
-        const matches =
-            meta.name.toLowerCase().includes(lowerQuery) ||
-            code.toLowerCase().includes(lowerQuery) ||
-            meta.keywords.some(kw => kw.includes(lowerQuery));
+    return tokens;
+}
 
-        if (matches) {
-            results.push({
-                code: code,
-                name: meta.name,
-                description: meta.description,
-                type: 'builtin'
-            });
+// Parse an expression into a tree (recursive descent - formulas are never passed to eval)
+// Grammar: expr = term (+|- term)*, term = unary (*|/ unary)*, unary = -unary | number | asset | (expr)
+function parseFormula(expression) {
+    const tokens = tokenizeFormula(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOperator = (token, ...values) => token?.type === 'operator' && values.includes(token.value);
+
+    function parseExpression() {
+        let node = parseTerm();
+        while (isOperator(peek(), '+', '-')) {
+            const operator = tokens[position++].value;
+            node = { type: 'binary', operator, left: node, right: parseTerm() };
         }
+        return node;
     }
 
-    // Search custom assets
-    for (const [ticker, asset] of Object.entries(customAssets)) {
+    function parseTerm() {
+        let node = parseUnary();
+        while (isOperator(peek(), '*', '/')) {
+            const operator = tokens[position++].value;
+            node = { type: 'binary', operator, left: node, right: parseUnary() };
+        }
+        return node;
+    }
+
+    function parseUnary() {
+        const token = tokens[position++];
+        if (!token) throw new Error('Expression ends unexpectedly');
+
+        if (isOperator(token, '-')) return { type: 'negate', operand: parseUnary() };
+        if (isOperator(token, '(')) {
+            const node = parseExpression();
+            if (!isOperator(tokens[position++], ')')) throw new Error('Missing closing parenthesis');
+            return node;
+        }
+        if (token.type === 'number') return { type: 'number', value: token.value };
+        if (token.type === 'asset') return { type: 'asset', code: resolveFormulaOperand(token.name), lag: token.lag };
+
+        throw new Error(`Unexpected "${token.value}"`);
+    }
+
+    if (tokens.length === 0) throw new Error('Enter an expression');
+
+    const tree = parseExpression();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position].value ?? tokens[position].name}"`);
+    }
+    return tree;
+}
+
+// Resolve an operand name to a loaded asset code (built-in codes are case-insensitive)
+function resolveFormulaOperand(name) {
+    const code = customAssets[name] ? name
+        : assetRegistry[name.toLowerCase()] ? name.toLowerCase()
+        : customAssets[name.toUpperCase()] ? name.toUpperCase()
+        : null;
+
+    if (!code) throw new Error(`Unknown asset "${name}"`);
+    if (DERIVED_ASSET_SOURCES[customAssets[code]?.source]) {
+        throw new Error(`"${name}" is a ${customAssets[code].source} - formulas can only use built-in, Polygon.io or imported assets`);
+    }
+    return code;
+}
+
+// Asset codes used in a parsed formula, in order of first appearance
+function getFormulaOperands(tree) {
+    switch (tree.type) {
+        case 'asset': return [tree.code];
+        case 'negate': return getFormulaOperands(tree.operand);
+        case 'binary': return [...new Set([...getFormulaOperands(tree.left), ...getFormulaOperands(tree.right)])];
+        default: return [];
+    }
+}
+
+// Shift a date back by a formula lag ({ amount, unit })
+function applyFormulaLag(date, lag) {
+    const shifted = new Date(date);
+    switch (lag.unit) {
+        case 'days': shifted.setDate(shifted.getDate() - lag.amount); break;
+        case 'weeks': shifted.setDate(shifted.getDate() - lag.amount * 7); break;
+        case 'months': shifted.setMonth(shifted.getMonth() - lag.amount); break;
+        case 'years': shifted.setFullYear(shifted.getFullYear() - lag.amount); break;
+    }
+    return shifted;
+}
+
+// Evaluate a parsed formula for one date (null when any input is missing or the result isn't finite)
+// Operands are real (inflation-adjusted) values, looked up like a denominator in getAssetValue
+function evaluateFormula(tree, date) {
+    switch (tree.type) {
+        case 'number':
+            return tree.value;
+        case 'asset': {
+            const lookupDate = tree.lag ? applyFormulaLag(date, tree.lag) : date;
+
+            // Lookups outside the series would otherwise clamp to its first or last value
+            const index = getSourceIndex(getAssetDefinition(tree.code)?.source);
+            if (!index || index.times.length === 0) return null;
+            const time = lookupDate.getTime();
+            if (time < index.times[0] || time > index.times[index.times.length - 1]) return null;
+
+            return getAssetRealValueForDate(tree.code, lookupDate);
+        }
+        case 'negate': {
+            const value = evaluateFormula(tree.operand, date);
+            return value === null ? null : -value;
+        }
+        case 'binary': {
+            const left = evaluateFormula(tree.left, date);
+            const right = evaluateFormula(tree.right, date);
+            if (left === null || right === null) return null;
+
+            let result;
+            switch (tree.operator) {
+                case '+': result = left + right; break;
+                case '-': result = left - right; break;
+                case '*': result = left * right; break;
+                case '/': result = right === 0 ? null : left / right; break;
+            }
+            return Number.isFinite(result) ? result : null;
+        }
+    }
+    return null;
+}
+
+// Compute a formula's series on the dates of its first operand
+function computeFormulaSeries(expression) {
+    const tree = parseFormula(expression);
+    const operands = getFormulaOperands(tree);
+    if (operands.length === 0) {
+        throw new Error('A formula needs at least one asset');
+    }
+
+    const dates = (getDataArrayForAsset(operands[0]) || []).map(point => point.date);
+    return dates
+        .map(date => ({ date: new Date(date), price: evaluateFormula(tree, new Date(date)) }))
+        .filter(point => point.price !== null);
+}
+
+// Save a new formula asset (or replace the one with the given code) and compute its data
+function saveFormulaAsset({ code: existingCode, name, expression, color, basis }) {
+    const code = existingCode || createImportCode(name, 'FX');
+    const existing = customAssets[code];
+    if (existing && existing.source !== 'formula') {
+        throw new Error(`${code} is already used by another asset - choose a different name`);
+    }
+
+    const data = computeFormulaSeries(expression);
+    if (data.length === 0) {
+        throw new Error('The formula has no values - its assets may not overlap in time');
+    }
+
+    registerCustomAsset(code, {
+        name: code,
+        longName: name,
+        color: color,
+        basis: basis === 'real' ? 'real' : 'ratio',
+        source: 'formula',
+        expression: expression.trim(),
+        data: data,
+        fetchedAt: new Date()
+    });
+
+    console.log(`✓ Formula ${code} = ${expression.trim()}: ${data.length} points`);
+    return code;
+}
+
+// Baskets - fixed-weight mixes of assets (e.g. 50% gold / 50% homes), mainly for use as a denominator
+// Stored as custom assets with source 'basket'; the data is a real-terms index starting at 100
+const BASKET_REBALANCE_PERIODS = {
+    never: { label: 'Never (buy and hold)', months: 0 },
+    monthly: { label: 'Monthly', months: 1 },
+    quarterly: { label: 'Quarterly', months: 3 },
+    yearly: { label: 'Yearly', months: 12 }
+};
+
+// Assets that can be held in a basket or portfolio: anything with a price (not ratios or other mixes)
+function getWeightableAssets() {
+    return [
+        ...Object.values(assetRegistry),
+        ...Object.keys(customAssets).map(getAssetDefinition)
+    ].filter(definition => definition && definition.basis !== 'ratio' && !DERIVED_ASSET_SOURCES[customAssets[definition.code]?.source]);
+}
+
+// Check and normalize weighted components ([{ code, weight }]) so the weights sum to 1
+function normalizeWeights(components) {
+    const valid = components.filter(component => component.code);
+    if (valid.length === 0) {
+        throw new Error('Add at least one asset');
+    }
+
+    const seen = new Set();
+    for (const component of valid) {
+        if (!(component.weight > 0)) throw new Error(`${getAssetName(component.code)} needs a weight above 0`);
+        if (seen.has(component.code)) throw new Error(`${getAssetName(component.code)} is listed twice`);
+        seen.add(component.code);
+    }
+
+    const total = valid.reduce((sum, component) => sum + component.weight, 0);
+    return valid.map(component => ({ code: component.code, weight: component.weight / total }));
+}
+
+// The dates of the most sparsely sampled asset (within the range, if given), sorted
+// Mixing a daily series into an annual one would otherwise add hundreds of flat steps and skew volatility
+function getCommonDates(codes, range) {
+    let coarsest = null;
+    let widestSpacing = -1;
+    for (const code of codes) {
+        const data = getDataArrayForAsset(code) || [];
+        if (data.length === 0) continue;
+        const spacing = data.length > 1
+            ? (new Date(data[data.length - 1].date) - new Date(data[0].date)) / (data.length - 1)
+            : Infinity;
+        if (spacing > widestSpacing) {
+            widestSpacing = spacing;
+            coarsest = data;
+        }
+    }
+
+    return (coarsest || [])
+        .map(point => new Date(point.date))
+        .filter(date => !range || (date >= range.start && date <= range.end));
+}
+
+// Simulate a fixed-weight portfolio in real terms, starting at startValue on the first date every asset has data
+// Holdings drift with prices and are reset to the target weights every rebalance period ('never' = buy and hold)
+// Returns [{ date, value, prices }] where prices are the real component prices used
+function simulateRebalancedPortfolio(components, rebalance, dates, startValue = 100) {
+    const months = BASKET_REBALANCE_PERIODS[rebalance]?.months || 0;
+    const points = [];
+    let units = null;
+    let nextRebalance = null;
+
+    // Lookups clamp to a series' first value, so wait until every asset has really started
+    const start = Math.max(...components.map(component => {
+        const data = getDataArrayForAsset(component.code);
+        return data ? new Date(data[0].date).getTime() : Infinity;
+    }));
+
+    for (const date of dates) {
+        if (date.getTime() < start) continue;
+
+        const prices = components.map(component => getAssetRealValueForDate(component.code, date));
+        if (prices.some(price => !price)) continue;
+
+        if (!units) {
+            units = components.map((component, i) => startValue * component.weight / prices[i]);
+        }
+
+        const value = units.reduce((sum, held, i) => sum + held * prices[i], 0);
+
+        if (months > 0 && (!nextRebalance || date >= nextRebalance)) {
+            units = components.map((component, i) => value * component.weight / prices[i]);
+            nextRebalance = new Date(date);
+            nextRebalance.setMonth(nextRebalance.getMonth() + months);
+        }
+
+        points.push({ date, value, prices });
+    }
+
+    return points;
+}
+
+// Compute a basket's index series over the full history of its components
+function computeBasketSeries(components, rebalance) {
+    const weighted = normalizeWeights(components);
+    const dates = getCommonDates(weighted.map(component => component.code));
+    return simulateRebalancedPortfolio(weighted, rebalance, dates)
+        .map(point => ({ date: point.date, price: point.value }));
+}
+
+// Describe a basket's composition, e.g. "50% Gold + 50% Home Price Index, rebalanced yearly"
+function describeBasket(asset) {
+    const total = asset.components.reduce((sum, component) => sum + component.weight, 0);
+    const parts = asset.components.map(component => `${Math.round(component.weight / total * 100)}% ${getAssetName(component.code)}`);
+    const rebalance = asset.rebalance === 'never' ? 'buy and hold' : `rebalanced ${asset.rebalance}`;
+    return `${parts.join(' + ')}, ${rebalance}`;
+}
+
+// Save a new basket (or replace the one with the given code) and compute its data
+function saveBasketAsset({ code: existingCode, name, components, rebalance, color }) {
+    const code = existingCode || createImportCode(name, 'BASKET');
+    const existing = customAssets[code];
+    if (existing && existing.source !== 'basket') {
+        throw new Error(`${code} is already used by another asset - choose a different name`);
+    }
+
+    const weighted = normalizeWeights(components);
+    const data = computeBasketSeries(weighted, rebalance);
+    if (data.length === 0) {
+        throw new Error('The basket has no values - its assets may not overlap in time');
+    }
+
+    registerCustomAsset(code, {
+        name: code,
+        longName: name,
+        color: color,
+        basis: 'real',
+        source: 'basket',
+        components: weighted,
+        rebalance: BASKET_REBALANCE_PERIODS[rebalance] ? rebalance : 'never',
+        data: data,
+        fetchedAt: new Date()
+    });
+
+    console.log(`✓ Basket ${code}: ${describeBasket(customAssets[code])} (${data.length} points)`);
+    return code;
+}
+
+// Custom asset sources computed from other assets, and how to recompute each
+const DERIVED_ASSET_SOURCES = {
+    formula: asset => computeFormulaSeries(asset.expression),
+    basket: asset => computeBasketSeries(asset.components, asset.rebalance)
+};
+
+// Asset codes a formula or basket is built from (empty if it can't be parsed against the loaded assets)
+function getDerivedAssetInputs(asset) {
+    if (asset.source === 'basket') return asset.components.map(component => component.code);
+    if (asset.source !== 'formula') return [];
+
+    try {
+        return getFormulaOperands(parseFormula(asset.expression));
+    } catch (error) {
+        return [];
+    }
+}
+
+// Recompute every formula and basket from the currently loaded data (those whose inputs are gone end up empty)
+function refreshDerivedAssets() {
+    for (const [code, asset] of Object.entries(customAssets)) {
+        const compute = DERIVED_ASSET_SOURCES[asset.source];
+        if (!compute) continue;
+
+        try {
+            asset.data = compute(asset);
+        } catch (error) {
+            console.warn(`${code} could not be computed:`, error.message);
+            asset.data = [];
+        }
+        indexSeries(code, asset.data);
+    }
+}
+
+// Build a search result entry for a USD pseudo-denominator
+function createUsdSearchResult(code) {
+    const unavailableReason = getUnavailableReason(code);
+    return {
+        code: code,
+        name: USD_DENOMINATORS[code].name,
+        description: unavailableReason || USD_DENOMINATORS[code].description,
+        type: 'builtin',
+        disabled: !!unavailableReason
+    };
+}
+
+// Build a search result entry for a registered asset (disabled if its source failed to load)
+function createAssetSearchResult(definition) {
+    const unavailableReason = getUnavailableReason(definition.code);
+    return {
+        code: definition.code,
+        name: definition.name,
+        description: unavailableReason || definition.description,
+        type: definition.custom ? 'custom' : 'builtin',
+        disabled: !!unavailableReason
+    };
+}
+
+// Search for assets (built-in + custom tickers)
+function searchAssets(query, isDenominator = false) {
+    const results = [];
+    const lowerQuery = query.toLowerCase().trim();
+
+    if (!lowerQuery) {
+        // For denominator, include real/nominal options
+        if (isDenominator) {
+            results.push(createUsdSearchResult('real'));
+            results.push(createUsdSearchResult('nominal'));
+        }
+
+        // Return all built-in assets if no query
+        for (const definition of Object.values(assetRegistry).filter(hasRequiredField)) {
+            results.push(createAssetSearchResult(definition));
+        }
+        return results;
+    }
+
+    // For denominator, search real/nominal first
+    if (isDenominator) {
+        if ('real'.includes(lowerQuery) || 'inflation'.includes(lowerQuery) || 'adjusted'.includes(lowerQuery)) {
+            results.push(createUsdSearchResult('real'));
+        }
+        if ('nominal'.includes(lowerQuery) || 'current'.includes(lowerQuery) || 'usd'.includes(lowerQuery)) {
+            results.push(createUsdSearchResult('nominal'));
+        }
+    }
+
+    // Search built-in assets
+    for (const definition of Object.values(assetRegistry).filter(hasRequiredField)) {
+        const matches =
+            definition.name.toLowerCase().includes(lowerQuery) ||
+            definition.code.toLowerCase().includes(lowerQuery) ||
+            definition.keywords.some(kw => kw.includes(lowerQuery));
+
+        if (matches) {
+            results.push(createAssetSearchResult(definition));
+        }
+    }
+
+    // Search custom assets
+    for (const [ticker, asset] of Object.entries(customAssets)) {
         const matches =
             ticker.toLowerCase().includes(lowerQuery) ||
             asset.name.toLowerCase().includes(lowerQuery) ||
             (asset.longName && asset.longName.toLowerCase().includes(lowerQuery));
 
         if (matches) {
-            results.push({
-                code: ticker,
-                name: asset.longName || asset.name,
-                description: `Custom asset from Polygon.io`,
-                type: 'custom'
-            });
+            results.push(createAssetSearchResult(getAssetDefinition(ticker)));
         }
     }
 
@@ -558,17 +1446,31 @@ function displayAssetSuggestions(suggestionsDiv, results, inputElement) {
         const div = document.createElement('div');
         div.className = 'asset-suggestion';
         div.innerHTML = `
-            <div class="suggestion-name">${result.name}<span class="suggestion-code">${result.code.toUpperCase()}</span></div>
-            <div class="suggestion-desc">${result.description}</div>
+            <div class="suggestion-name"><span></span><span class="suggestion-code"></span></div>
+            <div class="suggestion-desc"></div>
         `;
+        // Names, descriptions and typed tickers can come from imports and searches, so they go in as text
+        div.querySelector('.suggestion-name span').textContent = result.name;
+        div.querySelector('.suggestion-code').textContent = result.code.toUpperCase();
+        div.querySelector('.suggestion-desc').textContent = result.description;
+
+        // Assets whose data source failed stay listed, with the reason, but can't be picked
+        if (result.disabled) {
+            div.classList.add('disabled');
+            div.addEventListener('click', e => e.stopPropagation());
+            suggestionsDiv.appendChild(div);
+            return;
+        }
 
         div.addEventListener('click', async function(e) {
             e.stopPropagation();
 
             if (result.type === 'search') {
-                // Fetch from Polygon.io
+                // Fetch from Polygon.io (progress shows in the request status instead of blocking the page)
+                suggestionsDiv.style.display = 'none';
+                inputElement.value = `${result.code} (loading…)`;
+
                 try {
-                    showLoading();
                     await fetchPolygonData(result.code);
                     inputElement.value = customAssets[result.code].longName || result.code;
                     inputElement.dataset.asset = result.code;
@@ -576,15 +1478,13 @@ function displayAssetSuggestions(suggestionsDiv, results, inputElement) {
                     // Auto-switch denominator to Real USD for custom tickers
                     const denominatorInput = document.getElementById('denominator1');
                     if (denominatorInput && !inputElement.id.includes('denominator')) {
-                        denominatorInput.value = 'Real USD (Inflation-Adjusted)';
+                        denominatorInput.value = USD_DENOMINATORS.real.longName;
                         denominatorInput.dataset.asset = 'real';
                     }
 
-                    hideLoading();
-                    suggestionsDiv.style.display = 'none';
                     updateChartAndCalculator();
                 } catch (error) {
-                    hideLoading();
+                    inputElement.value = getDenominatorName(inputElement.dataset.asset || '');
                     alert(`Failed to fetch data for ${result.code}: ${error.message}\n\nPlease check the ticker symbol and try again.`);
                 }
             } else {
@@ -611,28 +1511,128 @@ const eventDates = {
     'covid': new Date(2020, 2, 1)
 };
 
+// Short names for event overlays
+const eventLabels = {
+    '1929-crash': '1929 Crash',
+    'gold-standard': 'Gold Standard (1933)',
+    'oil-crisis': 'Oil Crisis (1973)',
+    '1987-crash': 'Black Monday (1987)',
+    'dotcom': 'Dot-com (2000)',
+    'housing-crisis': 'Housing Crisis (2007)',
+    'covid': 'COVID-19 (2020)'
+};
+
+// One color per event, so an event keeps its color across overlaid assets
+const EVENT_OVERLAY_COLORS = ['#d7263d', '#f28c28', '#3fb27f', '#2e8bc0', '#9b59b6', '#e91e63', '#795548'];
+
 // Initialize the application
 async function init() {
     try {
         showLoading();
-        await loadDataFromAPIs();
+        await restoreCustomAssets();
+        loadUserEvents();
 
-        updateStats();
-        loadConfigFromURL(); // Load config from URL if present
-        updateChartAndCalculator();
+        // Render from the offline cache right away when we have it, then revalidate
+        const hasCachedData = await loadCachedData();
+        if (!hasCachedData) {
+            await loadDataFromAPIs();
+        }
+
+        updateDataBadge();
+        populateDenominatorSelect();
+        const urlTickers = loadConfigFromURL(); // Load config from URL if present
         setupEventListeners();
         hideLoading();
+
+        // Shared links may reference custom tickers we haven't fetched yet
+        await restoreTickersFromURL(urlTickers);
+        updateChartAndCalculator();
+
+        if (hasCachedData) {
+            refreshDataInBackground();
+        }
     } catch (error) {
         console.error('Error initializing app:', error);
         showError('Failed to load data. Please refresh the page.');
     }
 }
 
+// Re-fetch all data sources after rendering from cache, then redraw with fresh data
+async function refreshDataInBackground() {
+    dataFreshness = 'refreshing';
+    updateDataBadge();
+
+    try {
+        await loadDataFromAPIs();
+        populateDenominatorSelect();
+        updateChartAndCalculator();
+    } catch (error) {
+        console.warn('Background refresh failed, keeping cached data:', error);
+        dataFreshness = 'offline';
+    }
+
+    updateDataBadge();
+}
+
+// Fill the compare-mode and portfolio denominator selects from the USD options and asset registry
+function populateDenominatorSelect() {
+    const options = [
+        ...Object.entries(USD_DENOMINATORS).map(([code, usd]) => ({ code, name: usd.longName })),
+        ...Object.values(assetRegistry).filter(hasRequiredField).map(definition => ({ code: definition.code, name: definition.name })),
+        ...Object.keys(customAssets).map(code => ({ code, name: getAssetName(code) }))
+    ];
+
+    for (const [id, defaultCode] of [['compareDenominator', 'gold'], ['portfolioDenominator', 'real']]) {
+        const select = document.getElementById(id);
+        if (!select) continue;
+
+        const selected = select.dataset.pending || select.value || defaultCode;
+        select.innerHTML = '';
+
+        for (const option of options) {
+            const element = document.createElement('option');
+            const unavailableReason = getUnavailableReason(option.code);
+            element.value = option.code;
+            element.textContent = unavailableReason ? `${option.name} (unavailable)` : option.name;
+            element.disabled = !!unavailableReason;
+            element.title = unavailableReason || '';
+            select.appendChild(element);
+        }
+
+        select.value = selected;
+        if (select.value === selected) {
+            delete select.dataset.pending;
+        }
+    }
+}
+
+// Show the configuration and results panels for the selected mode (single, compare or portfolio)
+function showConfigForMode() {
+    const compareMode = document.getElementById('compareMode').checked;
+    const portfolioMode = document.getElementById('portfolioMode').checked;
+
+    document.getElementById('singleAssetConfig').style.display = compareMode || portfolioMode ? 'none' : 'block';
+    document.getElementById('compareConfig').style.display = compareMode ? 'block' : 'none';
+    document.getElementById('portfolioConfig').style.display = portfolioMode ? 'block' : 'none';
+
+    // The single-asset calculator's results don't apply to the other modes
+    if (compareMode || portfolioMode) {
+        hideCalculatorResults();
+    }
+    if (!portfolioMode) {
+        document.getElementById('portfolioResults').style.display = 'none';
+        document.getElementById('portfolioComparison').style.display = 'none';
+    }
+}
+
 // Update chart based on current configuration
 function updateChartAndCalculator() {
     const compareMode = document.getElementById('compareMode').checked;
+    const portfolioMode = document.getElementById('portfolioMode').checked;
 
-    if (compareMode) {
+    if (portfolioMode) {
+        createPortfolioChart();
+    } else if (compareMode) {
         createComparisonChart();
     } else {
         const asset = document.getElementById('asset1').dataset.asset;
@@ -649,11 +1649,80 @@ function updateChartAndCalculator() {
         autoCalculateReturn();
     }
 
+    updateAnalysis();
+
     // Update URL to reflect current configuration
     updateURL();
 }
 
+// Characters allowed in an asset code from the URL (Polygon tickers like X:BTCUSD or BRK.B)
+const ASSET_CODE_PATTERN = /^[A-Za-z0-9.:_-]{1,20}$/;
+
+// Turn a URL asset value into a canonical code
+// Accepts codes (gold, TSLA) and, for links shared before codes were used, display names (Home Price Index)
+function resolveAssetCode(value) {
+    if (!value) return null;
+
+    const trimmed = value.trim();
+    const lower = trimmed.toLowerCase();
+    if (assetRegistry[lower] || USD_DENOMINATORS[lower]) return lower;
+    if (customAssets[trimmed]) return trimmed;
+
+    const byName = Object.values(assetRegistry).find(definition => definition.name.toLowerCase() === lower);
+    if (byName) return byName.code;
+
+    const usdByName = Object.entries(USD_DENOMINATORS)
+        .find(([, usd]) => usd.name.toLowerCase() === lower || usd.longName.toLowerCase() === lower);
+    if (usdByName) return usdByName[0];
+
+    const customByName = Object.entries(customAssets)
+        .find(([, asset]) => (asset.longName || asset.name).toLowerCase() === lower);
+    if (customByName) return customByName[0];
+
+    // Anything else is treated as a Polygon.io ticker
+    return ASSET_CODE_PATTERN.test(trimmed) ? trimmed.toUpperCase() : null;
+}
+
+// Whether a code still needs to be fetched from Polygon.io
+function needsTickerFetch(code) {
+    return !!code && !assetRegistry[code] && !USD_DENOMINATORS[code] && !customAssets[code];
+}
+
+// Fetch custom tickers referenced by a shared URL before the first render
+// Without an API key, explain what's missing and open the settings instead
+let pendingURLTickers = [];
+
+async function restoreTickersFromURL(tickers) {
+    const missing = [...new Set(tickers.filter(needsTickerFetch))];
+    if (missing.length === 0) return;
+
+    if (!getStoredApiKey()) {
+        pendingURLTickers = missing;
+        showNotice(`This link uses custom tickers (${missing.join(', ')}) that need a free Polygon.io API key. Add one in ⚙️ Settings and they'll load automatically.`);
+        document.getElementById('settingsButton')?.click();
+        return;
+    }
+
+    pendingURLTickers = [];
+    const results = await Promise.allSettled(missing.map(ticker => fetchPolygonData(ticker)));
+    const failed = missing.filter((ticker, i) => results[i].status === 'rejected');
+
+    if (failed.length > 0) {
+        const reasons = failed.map(ticker => `${ticker} (${results[missing.indexOf(ticker)].reason.message})`);
+        showNotice(`Couldn't load ${reasons.join('; ')}`);
+    }
+
+    // Refresh labels now that names and data are known
+    document.querySelectorAll('.asset-search').forEach(input => {
+        if (missing.includes(input.dataset.asset)) {
+            input.value = input.id === 'denominator1' ? getDenominatorName(input.dataset.asset) : getAssetName(input.dataset.asset);
+        }
+    });
+    populateDenominatorSelect();
+}
+
 // Load configuration from URL parameters
+// Returns the asset codes it references so custom tickers can be fetched
 function loadConfigFromURL() {
     const params = new URLSearchParams(window.location.search);
 
@@ -672,30 +1741,122 @@ function loadConfigFromURL() {
         document.getElementById('customRange').style.display = 'flex';
     }
 
+    const yScale = params.get('scale');
+    if (yScale && Y_SCALE_MODES[yScale]) {
+        document.getElementById('yScale').value = yScale;
+    }
+
+    const match = params.get('match');
+    if (match && DATE_MATCH_MODES[match]) {
+        document.getElementById('dateMatch').value = match;
+        setDateMatchMode(match);
+    }
+
+    const bandTrend = params.get('bands');
+    if (bandTrend === 'linear' || bandTrend === 'log') {
+        document.getElementById('bandTrend').value = bandTrend;
+        document.getElementById('bandWidth').value = params.get('bandWidth') === 'percentile' ? 'percentile' : 'stddev';
+    }
+
+    const analysisView = params.get('analysis');
+    if (analysisView && ANALYSIS_VIEWS[analysisView]) {
+        document.getElementById('analysisView').value = analysisView;
+    }
+    const analysisYears = params.get('analysisYears');
+    if (analysisYears) {
+        document.getElementById('analysisYears').value = analysisYears;
+    }
+
+    const regimes = params.get('regimes');
+    if (regimes) {
+        const enabled = regimes.split(',');
+        document.querySelectorAll('.regime-toggle').forEach(input => {
+            input.checked = enabled.includes(input.value);
+        });
+    }
+
     const eventPeriod = params.get('event');
     const eventYears = params.get('eventYears');
     if (eventPeriod) {
         document.getElementById('dateRange').value = 'event';
-        document.getElementById('eventPeriod').value = eventPeriod;
+        document.getElementById('eventPeriod').value = eventPeriod.replace(/-10$/, '');
         if (eventYears) {
             document.getElementById('eventYears').value = eventYears;
         }
+        document.getElementById('eventAlign').checked = params.get('align') === 'true';
+    }
+    if (document.getElementById('dateRange').value === 'event') {
         document.getElementById('eventRange').style.display = 'flex';
     }
 
-    // Check if compare mode
+    // Events shared in the link are shown for this visit; the user decides whether to keep them
+    const sharedEvents = params.get('events');
+    if (sharedEvents) {
+        const added = mergeUserEvents(decodeUserEventsParam(sharedEvents), { linked: true });
+        if (added > 0) {
+            showNotice(`This link added ${added} chart event${added === 1 ? '' : 's'} for this visit.`, 'info', {
+                label: '📌 Keep them',
+                onClick: function() {
+                    keepLinkedEvents();
+                    showNotice('Saved the linked events to your chart events.', 'info');
+                }
+            });
+        }
+    }
+
+    const referencedCodes = [];
+
+    // Portfolio mode: portfolio=sp500:60,gold:40 (codes may contain ':', so split on the last one)
+    const portfolio = params.get('portfolio');
     const compare = params.get('compare');
-    if (compare === 'true') {
+    if (portfolio) {
+        document.getElementById('portfolioMode').checked = true;
+        showConfigForMode();
+
+        const components = portfolio.split(',')
+            .map(entry => {
+                const separator = entry.lastIndexOf(':');
+                return { code: resolveAssetCode(entry.slice(0, separator)), weight: parseFloat(entry.slice(separator + 1)) };
+            })
+            .filter(component => component.code && component.weight > 0);
+
+        if (components.length > 0) {
+            const container = document.getElementById('portfolioComponents');
+            container.innerHTML = ''; // Clear default rows
+            components.forEach(component => addWeightRow(container, component.code, component.weight));
+            referencedCodes.push(...components.map(component => component.code));
+        }
+
+        const rebalance = params.get('rebalance');
+        if (BASKET_REBALANCE_PERIODS[rebalance]) {
+            document.getElementById('portfolioRebalance').value = rebalance;
+        }
+
+        const denominator = resolveAssetCode(params.get('denom')) || 'real';
+        const denominatorSelect = document.getElementById('portfolioDenominator');
+        denominatorSelect.dataset.pending = denominator;
+        denominatorSelect.value = denominator;
+        referencedCodes.push(denominator);
+
+        const amount = params.get('amount');
+        if (amount) {
+            document.getElementById('portfolioAmount').value = amount;
+        }
+    } else if (compare === 'true') {
         document.getElementById('compareMode').checked = true;
         document.getElementById('singleAssetConfig').style.display = 'none';
         document.getElementById('compareConfig').style.display = 'block';
 
-        // Load shared denominator
-        const denominator = params.get('denom') || 'gold';
-        document.getElementById('compareDenominator').value = denominator;
+        // Load shared denominator (kept pending until a custom ticker's option exists)
+        const denominator = resolveAssetCode(params.get('denom')) || 'gold';
+        const denominatorSelect = document.getElementById('compareDenominator');
+        denominatorSelect.dataset.pending = denominator;
+        denominatorSelect.value = denominator;
+        referencedCodes.push(denominator);
 
         // Load comparison assets
-        const assets = params.getAll('asset');
+        const assets = params.getAll('asset').map(resolveAssetCode).filter(Boolean);
+        referencedCodes.push(...assets);
 
         if (assets.length > 0) {
             const container = document.getElementById('compareAssets');
@@ -712,31 +1873,54 @@ function loadConfigFromURL() {
                     <div class="control-group asset-search-group">
                         <label>Asset ${i + 1}:</label>
                         <div class="asset-search-container">
-                            <input type="text" class="asset-search" placeholder="Search: home, gold, spy, btc-usd..." data-asset="${asset}" value="${assetName}">
+                            <input type="text" class="asset-search" placeholder="Search: home, gold, spy, btc-usd...">
                             <div class="asset-suggestions" style="display: none;"></div>
                         </div>
                     </div>
                     ${i > 0 ? '<button class="remove-button" onclick="this.parentElement.remove(); document.dispatchEvent(new Event(\'compareChanged\'));">✕</button>' : ''}
                 `;
+
+                // Codes come from the link and names from custom assets, so they're set as properties, not markup
+                const input = newRow.querySelector('.asset-search');
+                input.dataset.asset = asset;
+                input.value = assetName;
                 container.appendChild(newRow);
             }
         }
     } else {
         // Single asset mode
-        const asset = params.get('asset');
-        const denominator = params.get('denom');
+        const asset = resolveAssetCode(params.get('asset'));
+        const denominator = resolveAssetCode(params.get('denom'));
         const amount = params.get('amount');
 
         if (asset) {
-            document.getElementById('asset1').value = asset;
+            const assetInput = document.getElementById('asset1');
+            assetInput.dataset.asset = asset;
+            assetInput.value = getAssetName(asset);
+            referencedCodes.push(asset);
         }
         if (denominator) {
-            document.getElementById('denominator1').value = denominator;
+            const denominatorInput = document.getElementById('denominator1');
+            denominatorInput.dataset.asset = denominator;
+            denominatorInput.value = getDenominatorName(denominator);
+            referencedCodes.push(denominator);
         }
         if (amount) {
             document.getElementById('investmentAmount').value = amount;
         }
+
+        const contribution = params.get('dca');
+        if (contribution) {
+            document.getElementById('contributionAmount').value = contribution;
+            const frequency = params.get('dcaFreq');
+            if (CONTRIBUTION_FREQUENCIES[frequency]) {
+                document.getElementById('contributionFrequency').value = frequency;
+            }
+            document.getElementById('contributionIndexed').checked = params.get('dcaIndexed') === 'true';
+        }
     }
+
+    return referencedCodes;
 }
 
 // Update URL with current configuration
@@ -754,12 +1938,59 @@ function updateURL() {
             if (startYear) params.set('start', startYear);
             if (endYear) params.set('end', endYear);
         }
+
+        if (dateRange === 'event') {
+            const eventPeriod = document.getElementById('eventPeriod').value;
+            const eventYears = document.getElementById('eventYears').value;
+            params.set('event', eventPeriod);
+            if (eventDates[eventPeriod] && eventYears && eventYears !== '10') {
+                params.set('eventYears', eventYears);
+            }
+            if (isEventOverlay()) params.set('align', 'true');
+        }
+    }
+
+    // Add y-axis mode
+    const yScale = getYScaleMode();
+    if (yScale !== 'linear') { // Linear is the default
+        params.set('scale', yScale);
+    }
+
+    // Add date matching
+    if (dateMatchMode !== DEFAULT_DATE_MATCH) {
+        params.set('match', dateMatchMode);
+    }
+
+    // Add analysis panel settings
+    const analysis = getAnalysisSettings();
+    if (analysis.view !== 'rolling') params.set('analysis', analysis.view);
+    if (analysis.years !== 10) params.set('analysisYears', analysis.years);
+
+    // Add shaded regimes
+    const enabledRegimes = getEnabledRegimeCategories();
+    if (enabledRegimes.length > 0) {
+        params.set('regimes', enabledRegimes.join(','));
+    }
+
+    // Add valuation bands
+    const bandSettings = getBandSettings();
+    if (bandSettings) {
+        params.set('bands', bandSettings.trendType);
+        params.set('bandWidth', bandSettings.width);
     }
 
     // Check mode
     const compareMode = document.getElementById('compareMode').checked;
-
-    if (compareMode) {
+    const portfolioMode = document.getElementById('portfolioMode').checked;
+
+    if (portfolioMode) {
+        const settings = getPortfolioSettings();
+        const components = settings.components.filter(component => component.code && component.weight > 0);
+        params.set('portfolio', components.map(component => `${component.code}:${component.weight}`).join(','));
+        if (settings.rebalance !== 'yearly') params.set('rebalance', settings.rebalance);
+        params.set('denom', settings.denominator);
+        if (settings.amount > 0) params.set('amount', settings.amount);
+    } else if (compareMode) {
         params.set('compare', 'true');
 
         // Add shared denominator
@@ -770,8 +2001,8 @@ function updateURL() {
         const compareRows = document.querySelectorAll('.compare-row');
         compareRows.forEach(row => {
             const assetInput = row.querySelector('.asset-search');
-            if (assetInput && assetInput.value) {
-                params.append('asset', assetInput.value);
+            if (assetInput && assetInput.dataset.asset) {
+                params.append('asset', assetInput.dataset.asset);
             }
         });
     } else {
@@ -785,6 +2016,20 @@ function updateURL() {
         if (amount) {
             params.set('amount', amount);
         }
+
+        const contribution = getContributionSettings();
+        if (contribution) {
+            params.set('dca', contribution.amount);
+            if (contribution.frequency !== 'monthly') params.set('dcaFreq', contribution.frequency);
+            if (contribution.indexed) params.set('dcaIndexed', 'true');
+        }
+    }
+
+    // Add the user's events when they've chosen to share them
+    // Without the opt-in, only events that arrived with the link are passed along - never the user's own
+    const sharedUserEvents = isEventSharingEnabled() ? userEvents : userEvents.filter(isLinkedEvent);
+    if (sharedUserEvents.length > 0) {
+        params.set('events', encodeUserEventsParam(sharedUserEvents));
     }
 
     // Update URL without reloading page
@@ -804,144 +2049,623 @@ const HISTORICAL_EVENTS = [
     { date: '2020-03-01', label: 'COVID-19 Crash', color: '#dc3545' },
 ];
 
-// Parse Shiller date format (YYYY.MM)
-function parseShillerDate(dateStr) {
-    const parts = dateStr.toString().split('.');
-    const year = parseInt(parts[0]);
-    const month = parts[1] ? parseInt(parts[1]) - 1 : 0;
-    return new Date(year, month, 1);
-}
+// Regime categories that can be shaded behind the chart
+// compound: spans don't overlap, so a compounded total across them is meaningful
+const REGIME_CATEGORIES = {
+    recession: { label: 'NBER Recessions', color: '#6c757d', compound: true },
+    monetary: { label: 'Monetary Eras', color: '#ffc107' },
+    war: { label: 'Major Wars', color: '#dc3545' }
+};
 
-// Load data directly from APIs
+// NBER business cycle peaks and troughs (month of peak → month of trough)
+const NBER_RECESSIONS = [
+    ['1873-10', '1879-03'],
+    ['1882-03', '1885-05'],
+    ['1887-03', '1888-04'],
+    ['1890-07', '1891-05'],
+    ['1893-01', '1894-06'],
+    ['1895-12', '1897-06'],
+    ['1899-06', '1900-12'],
+    ['1902-09', '1904-08'],
+    ['1907-05', '1908-06'],
+    ['1910-01', '1912-01'],
+    ['1913-01', '1914-12'],
+    ['1918-08', '1919-03'],
+    ['1920-01', '1921-07'],
+    ['1923-05', '1924-07'],
+    ['1926-10', '1927-11'],
+    ['1929-08', '1933-03'],
+    ['1937-05', '1938-06'],
+    ['1945-02', '1945-10'],
+    ['1948-11', '1949-10'],
+    ['1953-07', '1954-05'],
+    ['1957-08', '1958-04'],
+    ['1960-04', '1961-02'],
+    ['1969-12', '1970-11'],
+    ['1973-11', '1975-03'],
+    ['1980-01', '1980-07'],
+    ['1981-07', '1982-11'],
+    ['1990-07', '1991-03'],
+    ['2001-03', '2001-11'],
+    ['2007-12', '2009-06'],
+    ['2020-02', '2020-04']
+];
+
+// Shaded regime spans; end: null means "to the present"
+const REGIME_SPANS = [
+    ...NBER_RECESSIONS.map(([start, end]) => ({
+        category: 'recession',
+        label: `Recession ${start.slice(0, 4)}${end.slice(0, 4) !== start.slice(0, 4) ? `-${end.slice(2, 4)}` : ''}`,
+        start: `${start}-01`,
+        end: `${end}-01`
+    })),
+    { category: 'monetary', label: 'Gold Standard', start: '1879-01-01', end: '1933-04-01', color: '#ffc107' },
+    { category: 'monetary', label: 'Bretton Woods', start: '1944-07-01', end: '1971-08-15', color: '#17a2b8' },
+    { category: 'monetary', label: 'Fiat Era', start: '1971-08-15', end: null, color: '#6f42c1' },
+    { category: 'war', label: 'Spanish-American War', start: '1898-04-21', end: '1898-08-13' },
+    { category: 'war', label: 'World War I (US)', start: '1917-04-06', end: '1918-11-11' },
+    { category: 'war', label: 'World War II (US)', start: '1941-12-07', end: '1945-09-02' },
+    { category: 'war', label: 'Korean War', start: '1950-06-25', end: '1953-07-27' },
+    { category: 'war', label: 'Vietnam War (US)', start: '1964-08-07', end: '1973-01-27' },
+    { category: 'war', label: 'Gulf War', start: '1990-08-02', end: '1991-02-28' },
+    { category: 'war', label: 'Afghanistan War', start: '2001-10-07', end: '2021-08-30' },
+    { category: 'war', label: 'Iraq War', start: '2003-03-20', end: '2011-12-18' }
+];
+
+// Start/end dates of a regime span
+function getRegimeDates(span) {
+    return {
+        start: new Date(span.start),
+        end: span.end ? new Date(span.end) : new Date()
+    };
+}
+
+// Categories whose spans are currently shaded
+function getEnabledRegimeCategories() {
+    return Array.from(document.querySelectorAll('.regime-toggle:checked'))
+        .map(input => input.value)
+        .filter(category => REGIME_CATEGORIES[category]);
+}
+
+// User-defined events, stored locally and optionally shared in the URL
+const USER_EVENTS_STORAGE_KEY = 'user_events';
+const SHARE_EVENTS_STORAGE_KEY = 'share_user_events';
+const DEFAULT_USER_EVENT_COLOR = '#6f42c1';
+const MAX_USER_EVENT_LABEL = 80;
+
+// Validate one event from storage, an import or a URL; throws with a readable message
+function normalizeUserEvent(raw) {
+    const isoDate = value => {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value))) {
+            return null;
+        }
+        return value;
+    };
+
+    const date = isoDate(raw?.date);
+    if (!date) {
+        throw new Error(`Invalid event date: ${raw?.date || '(none)'}`);
+    }
+
+    const label = typeof raw.label === 'string' ? raw.label.trim().slice(0, MAX_USER_EVENT_LABEL) : '';
+    if (!label) {
+        throw new Error(`Event on ${date} has no label`);
+    }
+
+    const endDate = raw.endDate ? isoDate(raw.endDate) : null;
+    if (raw.endDate && (!endDate || endDate < date)) {
+        throw new Error(`Invalid end date for "${label}": ${raw.endDate}`);
+    }
+
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : createUserEventId(),
+        date: date,
+        endDate: endDate,
+        label: label,
+        color: /^#[0-9a-f]{6}$/i.test(raw.color) ? raw.color : DEFAULT_USER_EVENT_COLOR
+    };
+}
+
+// Unique id for a new event
+let userEventCounter = 0;
+function createUserEventId() {
+    return `event-${Date.now().toString(36)}-${++userEventCounter}`;
+}
+
+// Parse an exported events file ({ events: [...] } or a bare array)
+function parseUserEvents(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+
+    const events = Array.isArray(json) ? json : json?.events;
+    if (!Array.isArray(events)) {
+        throw new Error('Expected an array of events');
+    }
+    return events.map(normalizeUserEvent);
+}
+
+// Load saved events from localStorage, skipping any that no longer validate
+function loadUserEvents() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(USER_EVENTS_STORAGE_KEY) || '[]');
+        userEvents = saved.flatMap(raw => {
+            try {
+                return [normalizeUserEvent(raw)];
+            } catch (error) {
+                console.warn('Skipping saved event:', error.message);
+                return [];
+            }
+        });
+    } catch (error) {
+        console.warn('Could not load saved events:', error);
+        userEvents = [];
+    }
+}
+
+// Persist events to localStorage (events from a shared link stay unsaved until the user keeps them)
+function saveUserEvents() {
+    userEvents.sort((a, b) => a.date.localeCompare(b.date));
+    localStorage.setItem(USER_EVENTS_STORAGE_KEY, JSON.stringify(userEvents.filter(event => !isLinkedEvent(event))));
+}
+
+// Add a new event or replace the one with the same id
+function upsertUserEvent(event) {
+    const index = userEvents.findIndex(existing => existing.id === event.id);
+    if (index === -1) {
+        userEvents.push(event);
+    } else {
+        userEvents[index] = event;
+    }
+    saveUserEvents();
+}
+
+// Delete an event by id
+function deleteUserEvent(id) {
+    userEvents = userEvents.filter(event => event.id !== id);
+    linkedEventIds.delete(id);
+    saveUserEvents();
+}
+
+// Add events that aren't already present (same date and label); returns how many were added
+// Linked events (from a shared URL) are only kept in memory and tracked in linkedEventIds
+function mergeUserEvents(events, { linked = false } = {}) {
+    const existing = new Set(userEvents.map(event => `${event.date}|${event.label}`));
+    const added = events.filter(event => !existing.has(`${event.date}|${event.label}`));
+
+    added.forEach(event => {
+        const id = createUserEventId();
+        userEvents.push({ ...event, id });
+        if (linked) linkedEventIds.add(id);
+    });
+    if (added.length > 0) {
+        saveUserEvents();
+    }
+    return added.length;
+}
+
+// Ids of events that came from a shared link this visit and haven't been kept
+const linkedEventIds = new Set();
+
+// Whether an event came from a shared link and hasn't been kept
+function isLinkedEvent(event) {
+    return linkedEventIds.has(event.id);
+}
+
+// Save the events that came from a shared link as the user's own
+function keepLinkedEvents() {
+    linkedEventIds.clear();
+    saveUserEvents();
+    if (document.getElementById('eventsModal')?.style.display === 'flex') {
+        renderUserEventList();
+    }
+}
+
+// Whether share links should carry all of the user's events (saved opt-in)
+function isEventSharingEnabled() {
+    return localStorage.getItem(SHARE_EVENTS_STORAGE_KEY) === 'true';
+}
+
+// Compact URL form: [[date, label, color, endDate?], ...]
+function encodeUserEventsParam(events) {
+    return JSON.stringify(events.map(event => {
+        const entry = [event.date, event.label, event.color];
+        if (event.endDate) entry.push(event.endDate);
+        return entry;
+    }));
+}
+
+// Read events from the URL form, ignoring anything malformed
+function decodeUserEventsParam(value) {
+    try {
+        const entries = JSON.parse(value);
+        if (!Array.isArray(entries)) return [];
+
+        return entries.flatMap(entry => {
+            try {
+                const [date, label, color, endDate] = entry;
+                return [normalizeUserEvent({ date, label, color, endDate })];
+            } catch (error) {
+                return [];
+            }
+        });
+    } catch (error) {
+        console.warn('Could not read events from URL:', error);
+        return [];
+    }
+}
+
+// Download the user's events as JSON
+function exportUserEvents() {
+    const json = JSON.stringify({ events: userEvents.map(({ id, ...event }) => event) }, null, 2);
+    downloadFile(json, 'chart-events.json', 'application/json');
+}
+
+// Parse Shiller date format (YYYY.MM)
+function parseShillerDate(dateStr) {
+    const parts = dateStr.toString().split('.');
+    const year = parseInt(parts[0]);
+    const month = parts[1] ? parseInt(parts[1]) - 1 : 0;
+    return new Date(year, month, 1);
+}
+
+// Parse Shiller stock market JSON (date, sp500, cape, dividend, earnings, cpi)
+function parseStockData(stockJson) {
+    if (!Array.isArray(stockJson)) {
+        stockJson = stockJson.data || Object.values(stockJson);
+    }
+
+    return stockJson
+        .filter(item => item && (item.date || item.Date))
+        .map(item => ({
+            date: parseShillerDate(item.date || item.Date),
+            sp500: parseFloat(item.sp500 || item.P || item['S&P 500']),
+            cape: parseFloat(item.cape || item['CAPE Ratio']) || 0,
+            dividend: parseFloat(item.dividend || item.D || item['Dividend']),
+            earnings: parseFloat(item.earnings || item.E || item['Earnings']),
+            cpi: parseFloat(item.cpi || item['CPI']),
+            longRate: parseFloat(item.long_interest_rate || item.longRate || item.GS10 || item['Rate GS10'] || item['Long Interest Rate GS10'])
+        }))
+        .filter(item => !isNaN(item.date.getTime()) && !isNaN(item.sp500) && item.sp500 > 0)
+        .sort((a, b) => a.date - b.date);
+}
+
+// Computed fields for Shiller stock data
+function deriveStockFields(data) {
+    addTotalReturnIndex(data);
+    addRealBondYield(data);
+    return data;
+}
+
+// Real 10-year yield, as in Shiller's excess CAPE yield: GS10 minus annualized CPI inflation over the prior 10 years
+function addRealBondYield(data) {
+    const lookbackMonths = 120;
+    data.forEach((point, i) => {
+        const past = data[i - lookbackMonths];
+        point.realLongRate = point.longRate > 0 && past?.cpi > 0 && point.cpi > 0
+            ? point.longRate - (Math.pow(point.cpi / past.cpi, 1 / 10) - 1) * 100
+            : null;
+    });
+    return data;
+}
+
+// Add a total-return index to Shiller stock data: dividends (annualized, so D/12 a month) are reinvested monthly
+// index(t) = index(t-1) × (P(t) + D(t)/12) / P(t-1), starting at the first price so both series share a scale
+// Price and dividend come from the same Shiller columns, so the index has the same basis as sp500
+function addTotalReturnIndex(data) {
+    if (data.length === 0) return data;
+
+    data[0].sp500TotalReturn = data[0].sp500;
+    for (let i = 1; i < data.length; i++) {
+        const previous = data[i - 1];
+        const current = data[i];
+        const monthlyDividend = current.dividend > 0 ? current.dividend / 12 : 0;
+        current.sp500TotalReturn = previous.sp500TotalReturn * (current.sp500 + monthlyDividend) / previous.sp500;
+    }
+    return data;
+}
+
+// Parse Shiller home price JSON (yearly real price and building cost)
+function parseHomeData(homeParsed) {
+    let homeJson = homeParsed.data || homeParsed;
+    if (!Array.isArray(homeJson)) {
+        homeJson = Object.values(homeJson);
+    }
+
+    return homeJson
+        .filter(item => item && item['Unnamed: 0'] && typeof item['Unnamed: 0'] === 'number')
+        .map(item => ({
+            date: new Date(item['Unnamed: 0'], 0, 1),
+            realPrice: parseFloat(item['Real']),
+            buildingCost: parseFloat(item['Real.1'])
+        }))
+        .filter(item => !isNaN(item.date.getTime()) && !isNaN(item.realPrice) && item.realPrice > 0)
+        .sort((a, b) => a.date - b.date);
+}
+
+// Parse a date,price CSV with a header row (gold, Bitcoin)
+function parseDatePriceCsv(csv) {
+    const lines = csv.trim().split('\n');
+
+    return lines
+        .slice(1) // Skip header
+        .filter(line => line.trim())
+        .map(line => {
+            const parts = line.split(',');
+            const date = new Date(parts[0].trim());
+            const price = parseFloat(parts[1]);
+            return { date, price };
+        })
+        .filter(item => !isNaN(item.date.getTime()) && !isNaN(item.price) && item.price > 0)
+        .sort((a, b) => a.date - b.date);
+}
+
+// Fetch a data source, run it through its parser and validate the result
+async function fetchDataSource(source) {
+    const response = await fetch(source.url);
+    if (!response.ok) {
+        throw new Error(`${source.name} returned ${response.status} ${response.statusText || ''}`.trim());
+    }
+
+    const body = source.format === 'json' ? await response.json() : await response.text();
+    const data = source.parse(body);
+
+    if (!Array.isArray(data) || data.length === 0) {
+        throw new Error(`${source.name} returned no valid data points`);
+    }
+    if (source.validate) {
+        source.validate(data);
+    }
+
+    return data;
+}
+
+// Load data directly from APIs
+// Each source loads independently: a failed source keeps any cached copy, and charts
+// built from the other sources keep working.
 async function loadDataFromAPIs() {
     try {
         console.log('Fetching data from APIs...');
 
-        // Fetch all data sources in parallel
-        const [stockResponse, homeResponse, goldResponse, btcResponse] = await Promise.all([
-            fetch('https://posix4e.github.io/shiller_wrapper_data/data/stock_market_data.json'),
-            fetch('https://posix4e.github.io/shiller_wrapper_data/data/home_price_data.json'),
-            fetch('https://freegoldapi.com/data/latest.csv'),
-            fetch('https://dailysatprice.com/data/latest.csv')
-        ]);
-
-        // Process stock data
-        let stockJson = await stockResponse.json();
-        if (!Array.isArray(stockJson)) {
-            stockJson = stockJson.data || Object.values(stockJson);
-        }
-
-        stockData = stockJson
-            .filter(item => item && (item.date || item.Date))
-            .map(item => ({
-                date: parseShillerDate(item.date || item.Date),
-                sp500: parseFloat(item.sp500 || item.P || item['S&P 500']),
-                cape: parseFloat(item.cape || item['CAPE Ratio']) || 0,
-                dividend: parseFloat(item.dividend || item.D || item['Dividend']),
-                earnings: parseFloat(item.earnings || item.E || item['Earnings']),
-                cpi: parseFloat(item.cpi || item['CPI'])
-            }))
-            .filter(item => !isNaN(item.date.getTime()) && !isNaN(item.sp500) && item.sp500 > 0)
-            .sort((a, b) => a.date - b.date);
+        // Fetch and parse all data sources in parallel
+        const sourceKeys = Object.keys(DATA_SOURCES);
+        const settled = await Promise.allSettled(sourceKeys.map(key => fetchDataSource(DATA_SOURCES[key])));
+        const fetchedAt = new Date();
+
+        settled.forEach((result, i) => {
+            const key = sourceKeys[i];
 
-        // Set base CPI from latest data point
-        baseCPI = stockData[stockData.length - 1].cpi;
+            if (result.status === 'fulfilled') {
+                setSourceData(key, result.value);
+                dataFetchedAt[key] = fetchedAt;
+                sourceStatus[key] = { state: 'ok' };
 
-        // Process home data
-        let homeParsed = await homeResponse.json();
-        let homeJson = homeParsed.data || homeParsed;
-        if (!Array.isArray(homeJson)) {
-            homeJson = Object.values(homeJson);
+                // Persist for offline-first startup (failures only cost us the next fast start)
+                writeCachedSeries(key, result.value, fetchedAt)
+                    .catch(error => console.warn(`Could not cache ${key} data:`, error));
+            } else {
+                const message = result.reason?.message || String(result.reason);
+                console.error(`Error loading ${DATA_SOURCES[key].name}:`, result.reason);
+                sourceStatus[key] = {
+                    state: isSourceAvailable(key) ? 'stale' : 'error',
+                    error: message
+                };
+            }
+        });
+
+        if (!sourceKeys.some(isSourceAvailable)) {
+            throw new Error('No data source could be loaded');
         }
 
-        homeData = homeJson
-            .filter(item => item && item['Unnamed: 0'] && typeof item['Unnamed: 0'] === 'number')
-            .map(item => ({
-                date: new Date(item['Unnamed: 0'], 0, 1),
-                realPrice: parseFloat(item['Real']),
-                buildingCost: parseFloat(item['Real.1'])
-            }))
-            .filter(item => !isNaN(item.date.getTime()) && !isNaN(item.realPrice) && item.realPrice > 0)
-            .sort((a, b) => a.date - b.date);
+        finalizeSourceData();
+        dataFreshness = sourceKeys.some(key => sourceStatus[key].state === 'stale') ? 'offline' : 'live';
 
-        // Process gold data
-        const goldCsv = await goldResponse.text();
-        const lines = goldCsv.trim().split('\n');
-
-        goldData = lines
-            .slice(1) // Skip header
-            .filter(line => line.trim())
-            .map(line => {
-                const parts = line.split(',');
-                const date = new Date(parts[0].trim());
-                const price = parseFloat(parts[1]);
-                return { date, price };
-            })
-            .filter(item => !isNaN(item.date.getTime()) && !isNaN(item.price) && item.price > 0)
-            .sort((a, b) => a.date - b.date);
+        console.log('✓ Data loaded from APIs:');
+        logDataSummary();
 
-        // Process Bitcoin data
-        const btcCsv = await btcResponse.text();
-        const btcLines = btcCsv.trim().split('\n');
-
-        btcData = btcLines
-            .slice(1) // Skip header
-            .filter(line => line.trim())
-            .map(line => {
-                const parts = line.split(',');
-                const date = new Date(parts[0].trim());
-                const price = parseFloat(parts[1]);
-                return { date, price };
-            })
-            .filter(item => !isNaN(item.date.getTime()) && !isNaN(item.price) && item.price > 0)
-            .sort((a, b) => a.date - b.date);
+    } catch (error) {
+        console.error('Error loading data from APIs:', error);
+        throw error;
+    }
+}
 
-        // Set historical events
-        historicalEvents = HISTORICAL_EVENTS;
-
-        // Compute basic stats
-        const latestStock = stockData[stockData.length - 1];
-        const latestGoldNominal = goldData[goldData.length - 1].price;
-        const latestGoldReal = latestGoldNominal * (baseCPI / latestStock.cpi);
-        const currentRatio = latestStock.cape / latestGoldReal;
-
-        // Calculate historical percentile
-        const historicalRatios = stockData
-            .map(stock => {
-                const goldPrice = getGoldPriceForDate(stock.date);
-                if (!goldPrice) return null;
-                const goldReal = goldPrice * (baseCPI / stock.cpi);
-                return stock.cape / goldReal;
-            })
-            .filter(r => r !== null && !isNaN(r))
-            .sort((a, b) => a - b);
-
-        const percentile = (historicalRatios.filter(r => r < currentRatio).length / historicalRatios.length * 100);
-
-        stats = {
-            currentCAPE: latestStock.cape,
-            currentGold: latestGoldReal,
-            currentRatio: currentRatio,
-            percentile: percentile,
-            lastUpdated: new Date().toISOString(),
-            dataPoints: {
-                stock: stockData.length,
-                home: homeData.length,
-                gold: goldData.length,
-                btc: btcData.length
+// Load whatever the offline cache holds (returns true only if every source was cached)
+async function loadCachedData() {
+    try {
+        const sourceKeys = Object.keys(DATA_SOURCES);
+        const cached = await Promise.all(sourceKeys.map(key => readCachedSeries(key)));
+        let cachedCount = 0;
+
+        sourceKeys.forEach((key, i) => {
+            const entry = cached[i];
+            if (!entry || !entry.data || entry.data.length === 0) return;
+
+            setSourceData(key, entry.data);
+            dataFetchedAt[key] = new Date(entry.fetchedAt);
+            sourceStatus[key] = { state: 'cached' };
+            cachedCount++;
+        });
+
+        if (cachedCount === 0) return false;
+
+        finalizeSourceData();
+        dataFreshness = 'cached';
+
+        console.log('✓ Data loaded from offline cache:');
+        logDataSummary();
+        return cachedCount === sourceKeys.length;
+    } catch (error) {
+        console.warn('Could not read cached data:', error);
+        return false;
+    }
+}
+
+// Install parsed data for one source and index it so date lookups are O(log n)
+function setSourceData(key, data) {
+    DATA_SOURCES[key]?.derive?.(data);
+    switch (key) {
+        case 'stock': stockData = data; break;
+        case 'home': homeData = data; break;
+        case 'gold': goldData = data; break;
+        case 'btc': btcData = data; break;
+    }
+    indexSeries(key, data);
+}
+
+// Whether a data source has any data loaded (fresh or cached)
+function isSourceAvailable(key) {
+    const data = getSourceData(key);
+    return !!data && data.length > 0;
+}
+
+// Whether an asset's source has the field it needs (assets without a requiredField always do)
+// Before the source loads we can't tell yet, so the asset is kept
+function hasRequiredField(definition) {
+    if (!definition.requiredField || !isSourceAvailable(definition.source)) return true;
+    return getSourceData(definition.source).some(point => Number.isFinite(point[definition.requiredField]));
+}
+
+// Explain why an asset or denominator can't be used right now (null if it can)
+function getUnavailableReason(code) {
+    if (code === 'nominal') return null;
+
+    if (code === 'real') {
+        return isSourceAvailable('stock') ? null : `Inflation data unavailable (${DATA_SOURCES.stock.name} failed to load)`;
+    }
+
+    const definition = getAssetDefinition(code);
+    if (!definition || definition.custom || !DATA_SOURCES[definition.source]) return null;
+    if (isSourceAvailable(definition.source)) {
+        return hasRequiredField(definition) ? null : `Unavailable - ${DATA_SOURCES[definition.source].name} has no ${definition.requiredField} data`;
+    }
+
+    const status = sourceStatus[definition.source];
+    const detail = status?.error ? `: ${status.error}` : '';
+    return `Unavailable - ${DATA_SOURCES[definition.source].name} failed to load${detail}`;
+}
+
+// Recompute everything derived from the loaded sources: base CPI and events
+function finalizeSourceData() {
+    // Set base CPI from latest data point
+    baseCPI = stockData.length > 0 ? stockData[stockData.length - 1].cpi : null;
+
+    // Set historical events
+    historicalEvents = HISTORICAL_EVENTS;
+
+    refreshDerivedAssets();
+}
+
+// Log point counts and year ranges for each loaded series
+function logDataSummary() {
+    for (const [key, source] of Object.entries(DATA_SOURCES)) {
+        const data = getSourceData(key);
+        if (!data || data.length === 0) {
+            console.log(`  - ${source.name}: unavailable`);
+            continue;
+        }
+        console.log(`  - ${source.name}: ${data.length} points (${data[0].date.getFullYear()}-${data[data.length-1].date.getFullYear()})`);
+    }
+    if (baseCPI) {
+        console.log(`  - Base CPI: ${baseCPI.toFixed(2)}`);
+    }
+}
+
+// Oldest fetch time across the loaded sources - the data is only as fresh as this
+function getDataAsOf() {
+    const times = Object.values(dataFetchedAt).map(date => date.getTime());
+    return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+// Offline data cache (IndexedDB)
+const DATA_CACHE_DB_NAME = 'shillervsgold';
+const DATA_CACHE_DB_VERSION = 1;
+const SERIES_STORE = 'series';              // { key, data, fetchedAt }
+const CUSTOM_ASSET_STORE = 'customAssets';  // { ticker, asset }
+
+let dataCachePromise = null;
+
+// Open (once) the IndexedDB cache; resolves to null when IndexedDB is unavailable
+function openDataCache() {
+    if (dataCachePromise) return dataCachePromise;
+
+    dataCachePromise = new Promise(resolve => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(DATA_CACHE_DB_NAME, DATA_CACHE_DB_VERSION);
+
+        request.onupgradeneeded = function() {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SERIES_STORE)) {
+                db.createObjectStore(SERIES_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(CUSTOM_ASSET_STORE)) {
+                db.createObjectStore(CUSTOM_ASSET_STORE, { keyPath: 'ticker' });
             }
         };
 
-        console.log('✓ Data loaded from APIs:');
-        console.log(`  - Stock data: ${stockData.length} points (${stockData[0].date.getFullYear()}-${stockData[stockData.length-1].date.getFullYear()})`);
-        console.log(`  - Home data: ${homeData.length} points (${homeData[0].date.getFullYear()}-${homeData[homeData.length-1].date.getFullYear()})`);
-        console.log(`  - Gold data: ${goldData.length} points (${goldData[0].date.getFullYear()}-${goldData[goldData.length-1].date.getFullYear()})`);
-        console.log(`  - Bitcoin data: ${btcData.length} points (${btcData[0].date.getFullYear()}-${btcData[btcData.length-1].date.getFullYear()})`);
-        console.log(`  - Base CPI: ${baseCPI.toFixed(2)}`);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('IndexedDB unavailable, running without offline cache:', request.error);
+            resolve(null);
+        };
+    });
+
+    return dataCachePromise;
+}
+
+// Run a single request against an object store and resolve with its result
+async function runCacheRequest(storeName, mode, makeRequest) {
+    const db = await openDataCache();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Read a cached data source ({ key, data, fetchedAt } or null)
+function readCachedSeries(key) {
+    return runCacheRequest(SERIES_STORE, 'readonly', store => store.get(key));
+}
 
+// Write a parsed data source to the cache
+function writeCachedSeries(key, data, fetchedAt) {
+    return runCacheRequest(SERIES_STORE, 'readwrite', store => store.put({ key, data, fetchedAt }));
+}
+
+// Persist a custom asset so it survives reloads
+function writeCachedCustomAsset(ticker, asset) {
+    return runCacheRequest(CUSTOM_ASSET_STORE, 'readwrite', store => store.put({ ticker, asset }));
+}
+
+// Remove a custom asset from the cache
+function deleteCachedCustomAsset(ticker) {
+    return runCacheRequest(CUSTOM_ASSET_STORE, 'readwrite', store => store.delete(ticker));
+}
+
+// Restore previously fetched custom assets into customAssets
+async function restoreCustomAssets() {
+    try {
+        const entries = await runCacheRequest(CUSTOM_ASSET_STORE, 'readonly', store => store.getAll());
+        for (const entry of entries || []) {
+            customAssets[entry.ticker] = entry.asset;
+            indexSeries(entry.ticker, entry.asset.data);
+        }
+        if (entries && entries.length > 0) {
+            console.log(`✓ Restored ${entries.length} custom asset(s) from offline cache`);
+        }
     } catch (error) {
-        console.error('Error loading data from APIs:', error);
-        throw error;
+        console.warn('Could not restore custom assets:', error);
     }
 }
 
@@ -953,11 +2677,19 @@ function createSingleAssetChart(asset, denominator) {
     // Check for error
     if (dataset.error) {
         showChartError(dataset.error);
+        setChartedDatasets([], '');
+        updateStats([]);
         return;
     }
 
-    const title = getChartTitle(asset, denominator);
-    createChart([dataset], title);
+    setChartedDatasets([dataset], getChartTitle(asset, denominator));
+    if (isEventOverlay()) {
+        createEventOverlayChart([{ asset, denominator }], `${getDatasetLabel(asset, denominator)} Around Historical Events`);
+    } else {
+        const title = getChartTitle(asset, denominator);
+        createChart([dataset, ...buildContributionDatasets(asset, denominator, getDateRange())], title);
+    }
+    updateStats([dataset]);
 }
 
 // Create a comparison chart with multiple assets
@@ -990,23 +2722,99 @@ function createComparisonChart() {
     if (datasets.length === 0) {
         const errorMsg = errors.length > 0 ? errors.join('\n\n---\n\n') : 'No valid datasets to display';
         showChartError(errorMsg);
+        setChartedDatasets([], '');
+        updateStats([]);
         return;
     }
 
-    const denominatorName = assetMetadata[denominator]?.name ||
-                           (denominator === 'real' ? 'Real USD' : 'Nominal USD');
+    const denominatorName = getDenominatorName(denominator);
     const title = `Asset Comparison (valued in ${denominatorName})`;
-    createChart(datasets, title);
+    setChartedDatasets(datasets, title);
+    if (isEventOverlay()) {
+        createEventOverlayChart(datasets.map(dataset => ({ asset: dataset.asset, denominator })), `${title} Around Historical Events`);
+    } else {
+        createChart(datasets, title);
+    }
+    updateStats(datasets);
 }
 
-// Create a dataset for asset/denominator combination
-function createDataset(asset, denominator) {
-    const dateRange = getDateRange();
+// Remember what's charted so it can be exported
+function setChartedDatasets(datasets, title) {
+    chartedDatasets = datasets;
+    chartedTitle = title;
+}
+
+// Whether events should be overlaid on a common "years from event" axis
+function isEventOverlay() {
+    return document.getElementById('dateRange').value === 'event' && document.getElementById('eventAlign').checked;
+}
+
+// Build one series per event for an asset/denominator pair, x = years from the event, rebased to 100 at the event
+function buildEventOverlayDatasets(asset, denominator, seriesIndex, seriesCount) {
+    const eventYears = parseInt(document.getElementById('eventYears').value) || 10;
+    const selectedEvent = document.getElementById('eventPeriod').value;
+    const datasets = [];
+
+    Object.entries(eventDates).forEach(([key, eventDate], eventIndex) => {
+        const range = {
+            start: new Date(eventDate.getFullYear() - eventYears, eventDate.getMonth(), 1),
+            end: new Date(eventDate.getFullYear() + eventYears, eventDate.getMonth(), 28)
+        };
+        const dataset = createDataset(asset, denominator, range);
+        if (!dataset || dataset.error) return;
+
+        // Base on the first point at or after the event (or the last one before it)
+        const basePoint = dataset.data.find(point => point.x >= eventDate) || dataset.data[dataset.data.length - 1];
+        if (!basePoint || !basePoint.y) return;
+
+        const color = EVENT_OVERLAY_COLORS[eventIndex % EVENT_OVERLAY_COLORS.length];
+        const isSelected = key === selectedEvent;
+        datasets.push({
+            label: seriesCount > 1 ? `${dataset.label} — ${eventLabels[key]}` : eventLabels[key],
+            data: dataset.data.map(point => ({
+                x: (point.x - eventDate) / MS_PER_YEAR,
+                y: (point.y / basePoint.y) * 100
+            })),
+            borderColor: color,
+            backgroundColor: hexToRgba(color, 0.1),
+            borderWidth: isSelected ? 3 : 1.5,
+            borderDash: seriesIndex > 0 ? [6, 3 * seriesIndex] : [],
+            pointRadius: 0,
+            fill: false,
+            tension: 0.1
+        });
+    });
+
+    return datasets;
+}
+
+// Chart the given asset/denominator pairs around every historical event, aligned on the event date
+function createEventOverlayChart(pairs, title) {
+    const datasets = pairs.flatMap(({ asset, denominator }, i) =>
+        buildEventOverlayDatasets(asset, denominator, i, pairs.length));
+
+    if (datasets.length === 0) {
+        showChartError('No data available around any historical event for this selection.\n\nTry a wider ± window or different assets.');
+        return;
+    }
+
+    createChart(datasets, title, { eventAligned: true });
+}
+
+// Create a dataset for asset/denominator combination (over the selected date range by default)
+function createDataset(asset, denominator, dateRange = getDateRange()) {
+    // Explain missing data sources instead of showing an empty chart
+    const unavailableReason = getUnavailableReason(asset) || getUnavailableReason(denominator);
+    if (unavailableReason) {
+        const unavailableName = getUnavailableReason(asset) ? getAssetName(asset) : getDenominatorName(denominator);
+        return { error: `${unavailableName}: ${unavailableReason}` };
+    }
+
     const dataArray = getDataArrayForAsset(asset);
 
     if (!dataArray) {
         console.error(`No data array found for asset: ${asset}`);
-        return { error: `No data available for ${assetMetadata[asset]?.name || asset}` };
+        return { error: `No data available for ${getAssetName(asset)}` };
     }
 
     const filtered = filterByDateRange(dataArray, dateRange);
@@ -1023,26 +2831,30 @@ function createDataset(asset, denominator) {
     }
 
     if (data.length === 0) {
-        const assetName = assetMetadata[asset]?.name || asset;
-        const denomName = assetMetadata[denominator]?.name ||
-                         (denominator === 'real' ? 'Real USD' : 'Nominal USD');
+        const assetName = getAssetName(asset);
+        const denomName = getDenominatorName(denominator);
         const dateRangeStr = `${dateRange.start.getFullYear()}-${dateRange.end.getFullYear()}`;
 
+        // Without CPI data, only same-basis ratios (e.g. gold/Bitcoin) can be computed
+        const inflationNote = baseCPI ? '' : '\nInflation data is unavailable, so real/nominal conversions can\'t be made.';
+
         console.error(`No valid data points for ${asset}/${denominator}`);
         return {
-            error: `No data available for ${assetName} valued in ${denomName} for ${dateRangeStr}.\n\nTry:\n• Selecting a different date range\n• Choosing different assets\n• Modern History (1871+) for most comparisons`
+            error: `No data available for ${assetName} valued in ${denomName} for ${dateRangeStr}.${inflationNote}\n\nTry:\n• Selecting a different date range\n• Choosing different assets\n• Modern History (1871+) for most comparisons`
         };
     }
 
-    const metadata = assetMetadata[asset] || customAssets[asset];
+    const definition = getAssetDefinition(asset);
     const label = getDatasetLabel(asset, denominator);
 
-    // Get color from metadata or custom asset
-    const color = metadata?.color || '#888888';
+    // Get color from the asset registry (built-in or custom)
+    const color = definition?.color || '#888888';
 
     return {
         label: label,
         data: data,
+        asset: asset,
+        denominator: denominator,
         borderColor: color,
         backgroundColor: color.replace('rgb', 'rgba').replace(')', ', 0.1)'),
         borderWidth: 2,
@@ -1051,35 +2863,207 @@ function createDataset(asset, denominator) {
     };
 }
 
-// Generic chart creation function
-function createChart(datasets, title) {
-    const canvas = document.getElementById('main-chart');
+// Y-axis modes: plain values, log scale, or every series rebased to 100 at its first point in range
+const Y_SCALE_MODES = {
+    'linear': { label: 'Linear', axisTitle: 'Value' },
+    'log': { label: 'Logarithmic', axisTitle: 'Value (log scale)' },
+    'rebased': { label: 'Rebased to 100', axisTitle: 'Index (range start = 100)' }
+};
 
-    if (!canvas) {
-        console.error('Canvas not found: main-chart');
-        return;
-    }
+// Get the selected y-axis mode
+function getYScaleMode() {
+    const mode = document.getElementById('yScale')?.value;
+    return Y_SCALE_MODES[mode] ? mode : 'linear';
+}
 
-    // Destroy existing chart if it exists
-    if (currentChart) {
-        currentChart.destroy();
+// Rebase each dataset so its first point in range is 100
+function rebaseDatasets(datasets) {
+    return datasets.map(dataset => {
+        const base = dataset.data.find(point => point.y)?.y;
+        if (!base) return dataset;
+
+        return {
+            ...dataset,
+            data: dataset.data.map(point => ({ x: point.x, y: (point.y / base) * 100 }))
+        };
+    });
+}
+
+// Valuation bands around the long-run trend, from cheapest to most expensive
+// sigma/percentile give each band's upper boundary (the top band has none)
+const VALUATION_BANDS = [
+    { label: 'Fire Sale', color: '#1f4e9c', sigma: -2, percentile: 5 },
+    { label: 'Buy', color: '#2e8bc0', sigma: -1, percentile: 20 },
+    { label: 'Accumulate', color: '#3fb27f', sigma: -0.5, percentile: 35 },
+    { label: 'Fair Value', color: '#a3c93a', sigma: 0.5, percentile: 65 },
+    { label: 'Hold', color: '#f2c12e', sigma: 1, percentile: 80 },
+    { label: 'Overvalued', color: '#f28c28', sigma: 2, percentile: 95 },
+    { label: 'Bubble', color: '#d7263d' }
+];
+
+const MS_PER_YEAR = 1000 * 60 * 60 * 24 * 365.25;
+
+// Value at a percentile (0-100) of an ascending-sorted array, interpolating between ranks
+function percentileOfSorted(sorted, percentile) {
+    if (sorted.length === 0) return null;
+    const rank = (percentile / 100) * (sorted.length - 1);
+    const low = Math.floor(rank);
+    const high = Math.ceil(rank);
+    return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+}
+
+// Least-squares trend over time: 'linear' fits y = a + b*t, 'log' fits ln(y) = a + b*t (t in years)
+// Residuals are in fit space (absolute for linear, log-ratio for log)
+function fitTrend(points, trendType) {
+    const usable = points.filter(point => trendType !== 'log' || point.y > 0);
+    if (usable.length < 3) return null;
+
+    const toFit = y => trendType === 'log' ? Math.log(y) : y;
+    const xs = usable.map(point => new Date(point.x).getTime() / MS_PER_YEAR);
+    const ys = usable.map(point => toFit(point.y));
+    const n = xs.length;
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+    let covariance = 0;
+    let variance = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (xs[i] - meanX) * (ys[i] - meanY);
+        variance += (xs[i] - meanX) * (xs[i] - meanX);
     }
 
-    const ctx = canvas.getContext('2d');
-    const annotations = createAnnotations();
+    const slope = variance > 0 ? covariance / variance : 0;
+    const intercept = meanY - slope * meanX;
+    const predict = x => intercept + slope * (new Date(x).getTime() / MS_PER_YEAR);
+    const residuals = ys.map((y, i) => y - (intercept + slope * xs[i]));
+    const stdDev = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / n);
 
-    try {
-        // Check if mobile device
-        const isMobile = window.innerWidth < 768;
+    return { trendType, slope, intercept, predict, residuals, stdDev, toFit };
+}
 
-        currentChart = new Chart(ctx, {
-            type: 'line',
-            data: { datasets },
-            options: {
-                responsive: true,
+// Build rainbow band datasets (and a trend line) around a series
+// trendType: 'linear' or 'log'; width: 'stddev' or 'percentile'
+function buildValuationBands(dataset, trendType, width) {
+    const fit = fitTrend(dataset.data, trendType);
+    if (!fit) return null;
+
+    const sortedResiduals = [...fit.residuals].sort((a, b) => a - b);
+    const offsets = VALUATION_BANDS.slice(0, -1).map(band => width === 'percentile'
+        ? percentileOfSorted(sortedResiduals, band.percentile)
+        : band.sigma * fit.stdDev);
+
+    const fromFit = v => trendType === 'log' ? Math.exp(v) : v;
+    const boundaryLine = offset => dataset.data.map(point => ({ x: point.x, y: fromFit(fit.predict(point.x) + offset) }));
+
+    // Each band fills down to the boundary below it; the bottom band fills to the axis, the top band to the chart top
+    const datasets = VALUATION_BANDS.map((band, i) => ({
+        label: band.label,
+        data: boundaryLine(i < offsets.length ? offsets[i] : offsets[offsets.length - 1]),
+        borderColor: 'transparent',
+        backgroundColor: hexToRgba(band.color, 0.18),
+        borderWidth: 0,
+        pointRadius: 0,
+        fill: i === 0 ? 'start' : (i < offsets.length ? '-1' : 'end'),
+        order: 2,
+        isBand: true
+    }));
+
+    datasets.push({
+        label: `${trendType === 'log' ? 'Log-linear' : 'Linear'} trend`,
+        data: boundaryLine(0),
+        borderColor: '#6c757d',
+        borderDash: [6, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+        order: 1,
+        isBand: true
+    });
+
+    // Which band a value sits in at a given date
+    const classify = (x, y) => {
+        if (trendType === 'log' && y <= 0) return null;
+        const residual = fit.toFit(y) - fit.predict(x);
+        const index = offsets.findIndex(offset => residual <= offset);
+        return VALUATION_BANDS[index === -1 ? VALUATION_BANDS.length - 1 : index].label;
+    };
+
+    return { datasets, classify };
+}
+
+// Convert a #rrggbb color to rgba() with the given alpha
+function hexToRgba(hex, alpha) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+// Get the selected valuation band settings ({ trendType, width } or null when off)
+function getBandSettings() {
+    const trendType = document.getElementById('bandTrend')?.value;
+    if (trendType !== 'linear' && trendType !== 'log') return null;
+
+    const width = document.getElementById('bandWidth')?.value === 'percentile' ? 'percentile' : 'stddev';
+    return { trendType, width };
+}
+
+// Generic chart creation function
+// With eventAligned, x values are years from the event instead of dates
+function createChart(datasets, title, { eventAligned = false } = {}) {
+    const canvas = document.getElementById('main-chart');
+
+    if (!canvas) {
+        console.error('Canvas not found: main-chart');
+        return;
+    }
+
+    // Destroy existing chart if it exists
+    if (currentChart) {
+        currentChart.destroy();
+    }
+
+    const ctx = canvas.getContext('2d');
+    const annotations = eventAligned ? createEventAlignedAnnotations() : createAnnotations();
+    const yScaleMode = getYScaleMode();
+
+    // Contribution-simulator lines use their own axis and skip rebasing and bands
+    const portfolioDatasets = datasets.filter(dataset => dataset.isPortfolio);
+    datasets = datasets.filter(dataset => !dataset.isPortfolio);
+
+    // Event overlays are already rebased to 100 at the event
+    if (yScaleMode === 'rebased' && !eventAligned) {
+        datasets = rebaseDatasets(datasets);
+    }
+
+    // Rainbow bands are fitted to the single series being charted
+    const seriesCount = datasets.length;
+    const bandSettings = eventAligned ? null : getBandSettings();
+    const bands = bandSettings && seriesCount === 1
+        ? buildValuationBands(datasets[0], bandSettings.trendType, bandSettings.width)
+        : null;
+
+    let subtitle = '';
+    if (bands) {
+        const series = datasets[0].data;
+        const latest = series[series.length - 1];
+        const latestBand = bands.classify(latest.x, latest.y);
+        subtitle = latestBand ? `Current valuation band: ${latestBand}` : '';
+        datasets = [{ ...datasets[0], order: 0 }, ...bands.datasets];
+    }
+    datasets = [...datasets, ...portfolioDatasets];
+
+    try {
+        // Check if mobile device
+        const isMobile = window.innerWidth < 768;
+
+        currentChartConfig = {
+            type: 'line',
+            data: { datasets },
+            options: {
+                responsive: true,
                 maintainAspectRatio: false,
                 interaction: {
-                    mode: isMobile ? 'nearest' : 'index',
+                    // Overlaid events have different sample points, so match on x rather than index
+                    mode: isMobile ? 'nearest' : (eventAligned ? 'x' : 'index'),
                     intersect: false,
                 },
                 plugins: {
@@ -1091,6 +3075,10 @@ function createChart(datasets, title) {
                             weight: 'bold'
                         }
                     },
+                    subtitle: {
+                        display: !!subtitle,
+                        text: subtitle
+                    },
                     legend: {
                         display: datasets.length > 1,
                         position: 'top',
@@ -1103,13 +3091,23 @@ function createChart(datasets, title) {
                         }
                     },
                     tooltip: {
+                        // Band boundaries are context, not values worth listing
+                        filter: item => !item.dataset.isBand,
                         callbacks: {
+                            ...(eventAligned && {
+                                title: items => items.length ? formatYearsFromEvent(items[0].parsed.x) : ''
+                            }),
                             label: function(context) {
                                 let label = context.dataset.label || '';
                                 if (label) {
                                     label += ': ';
                                 }
-                                label += context.parsed.y.toFixed(4);
+                                label += context.parsed.y.toFixed(yScaleMode === 'rebased' || eventAligned ? 2 : 4);
+
+                                if (bands) {
+                                    const band = bands.classify(context.parsed.x, context.parsed.y);
+                                    if (band) label += ` (${band})`;
+                                }
                                 return label;
                             }
                         }
@@ -1120,16 +3118,20 @@ function createChart(datasets, title) {
                 },
                 scales: {
                     x: {
-                        type: 'time',
-                        time: {
-                            unit: 'year',
-                            displayFormats: {
-                                year: 'yyyy'
-                            }
-                        },
+                        ...(eventAligned
+                            ? { type: 'linear' }
+                            : {
+                                type: 'time',
+                                time: {
+                                    unit: 'year',
+                                    displayFormats: {
+                                        year: 'yyyy'
+                                    }
+                                }
+                            }),
                         title: {
                             display: !isMobile,
-                            text: 'Year'
+                            text: eventAligned ? 'Years from event' : 'Year'
                         },
                         ticks: {
                             font: {
@@ -1140,20 +3142,36 @@ function createChart(datasets, title) {
                         }
                     },
                     y: {
+                        type: yScaleMode === 'log' ? 'logarithmic' : 'linear',
                         beginAtZero: false,
                         title: {
                             display: !isMobile,
-                            text: 'Value'
+                            text: eventAligned ? 'Index (event = 100)' : Y_SCALE_MODES[yScaleMode].axisTitle
                         },
                         ticks: {
                             font: {
                                 size: isMobile ? 10 : 12
                             }
                         }
-                    }
+                    },
+                    ...(portfolioDatasets.length > 0 && {
+                        portfolio: {
+                            type: yScaleMode === 'log' ? 'logarithmic' : 'linear',
+                            position: 'right',
+                            beginAtZero: yScaleMode !== 'log',
+                            grid: {
+                                drawOnChartArea: false
+                            },
+                            title: {
+                                display: !isMobile,
+                                text: 'Portfolio value'
+                            }
+                        }
+                    })
                 }
             }
-        });
+        };
+        currentChart = new Chart(ctx, currentChartConfig);
     } catch (error) {
         console.error(`Error creating chart:`, error);
     }
@@ -1162,19 +3180,24 @@ function createChart(datasets, title) {
 // Get user-friendly label for dataset
 // Get the display name for an asset
 function getAssetName(asset) {
-    return assetMetadata[asset]?.name || customAssets[asset]?.longName || asset.toUpperCase();
+    return getAssetDefinition(asset)?.name || asset.toUpperCase();
+}
+
+// Get the display name for a denominator (USD or any asset)
+function getDenominatorName(denominator) {
+    return USD_DENOMINATORS[denominator]?.name || getAssetDefinition(denominator)?.name || denominator;
 }
 
 function getDatasetLabel(asset, denominator) {
     const assetName = getAssetName(asset);
 
-    if (denominator === 'real') {
-        return `${assetName} (Real USD)`;
-    } else if (denominator === 'nominal') {
-        return `${assetName} (Nominal USD)`;
+    if (USD_DENOMINATORS[denominator]) {
+        return `${assetName} (${USD_DENOMINATORS[denominator].name})`;
+    } else if (customAssets[denominator]?.source === 'basket') {
+        // Show what the basket holds, since its name alone doesn't say
+        return `${assetName} / ${getDenominatorName(denominator)} (${describeBasket(customAssets[denominator])})`;
     } else {
-        const denominatorName = assetMetadata[denominator]?.name || customAssets[denominator]?.longName || denominator;
-        return `${assetName} / ${denominatorName}`;
+        return `${assetName} / ${getDenominatorName(denominator)}`;
     }
 }
 
@@ -1227,6 +3250,8 @@ function getDateRange() {
                 start: new Date(startYear, 0, 1),
                 end: new Date(endYear, 11, 31)
             };
+        case 'event':
+            return getEventDateRange();
         default:
             return {
                 start: new Date(1871, 0, 1),
@@ -1280,6 +3305,37 @@ function getEventDateRange() {
     };
 }
 
+// Mark the event itself on a "years from event" axis
+function createEventAlignedAnnotations() {
+    return {
+        eventZero: {
+            type: 'line',
+            xMin: 0,
+            xMax: 0,
+            borderColor: '#495057',
+            borderWidth: 2,
+            borderDash: [5, 5],
+            label: {
+                content: 'Event',
+                display: true,
+                position: 'top',
+                backgroundColor: '#495057',
+                color: 'white',
+                font: {
+                    size: 10
+                }
+            }
+        }
+    };
+}
+
+// Format an offset in years for overlay tooltips, e.g. "1.5 years after the event"
+function formatYearsFromEvent(years) {
+    if (Math.abs(years) < 0.05) return 'At the event';
+    const amount = Math.abs(years).toFixed(1);
+    return years < 0 ? `${amount} years before the event` : `${amount} years after the event`;
+}
+
 // Create annotations for historical events
 function createAnnotations() {
     const dateRange = getDateRange();
@@ -1311,31 +3367,603 @@ function createAnnotations() {
             };
         });
 
+    // Regime spans are shaded behind the series; recessions are too frequent to label
+    const enabledRegimes = getEnabledRegimeCategories();
+    REGIME_SPANS
+        .filter(span => enabledRegimes.includes(span.category))
+        .forEach((span, index) => {
+            const { start, end } = getRegimeDates(span);
+            if (end < dateRange.start || start > dateRange.end) return;
+
+            const color = span.color || REGIME_CATEGORIES[span.category].color;
+            annotations[`regime${index}`] = {
+                type: 'box',
+                xMin: start,
+                xMax: end,
+                backgroundColor: hexToRgba(color, span.category === 'monetary' ? 0.08 : 0.15),
+                borderWidth: 0,
+                drawTime: 'beforeDatasetsDraw',
+                label: {
+                    content: span.label,
+                    display: span.category !== 'recession',
+                    position: { x: 'center', y: span.category === 'monetary' ? 'end' : 'start' },
+                    color: color,
+                    font: {
+                        size: 10
+                    }
+                }
+            };
+        });
+
+    // User events: a dashed line for a single date, a shaded box for a span
+    userEvents
+        .filter(event => {
+            const start = new Date(event.date);
+            const end = new Date(event.endDate || event.date);
+            return end >= dateRange.start && start <= dateRange.end;
+        })
+        .forEach((event, index) => {
+            const label = {
+                content: event.label,
+                display: true,
+                position: event.endDate ? { x: 'center', y: 'start' } : 'top',
+                backgroundColor: event.color,
+                color: 'white',
+                font: {
+                    size: 10
+                }
+            };
+
+            annotations[`userEvent${index}`] = event.endDate
+                ? {
+                    type: 'box',
+                    xMin: event.date,
+                    xMax: event.endDate,
+                    backgroundColor: hexToRgba(event.color, 0.15),
+                    borderWidth: 0,
+                    drawTime: 'beforeDatasetsDraw',
+                    label: label
+                }
+                : {
+                    type: 'line',
+                    xMin: event.date,
+                    xMax: event.date,
+                    borderColor: event.color,
+                    borderWidth: 2,
+                    borderDash: [5, 5],
+                    label: label
+                };
+        });
+
     return annotations;
 }
 
 
-// Update statistics panel
-function updateStats() {
-    if (!stats) return;
+// The whole loaded history, for "all-time" statistics
+const FULL_HISTORY_RANGE = {
+    start: new Date(-8640000000000000),
+    end: new Date(8640000000000000)
+};
+
+// Percent of values strictly below the given value
+function percentileRank(values, value) {
+    if (values.length === 0) return null;
+    return values.filter(v => v < value).length / values.length * 100;
+}
+
+// A charted dataset's points over the full history
+// Series that aren't a single asset (a portfolio backtest) only exist for the selected range
+function getFullHistoryPoints(dataset) {
+    const full = dataset.asset ? createDataset(dataset.asset, dataset.denominator, FULL_HISTORY_RANGE) : null;
+    return full && !full.error ? full.data : dataset.data;
+}
+
+// Compute panel statistics for one charted dataset
+// Current = last point in the selected range; min/max/z-score use the full history
+function computeSeriesStats(dataset) {
+    const rangeValues = dataset.data.map(point => point.y);
+    const current = dataset.data[dataset.data.length - 1];
+
+    const fullPoints = getFullHistoryPoints(dataset);
+    const fullValues = fullPoints.map(point => point.y);
+
+    let min = fullPoints[0];
+    let max = fullPoints[0];
+    for (const point of fullPoints) {
+        if (point.y < min.y) min = point;
+        if (point.y > max.y) max = point;
+    }
+
+    const mean = fullValues.reduce((sum, v) => sum + v, 0) / fullValues.length;
+    const stdDev = Math.sqrt(fullValues.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / fullValues.length);
+
+    return {
+        label: dataset.label,
+        color: dataset.borderColor,
+        current: current,
+        rangePercentile: percentileRank(rangeValues, current.y),
+        fullPercentile: percentileRank(fullValues, current.y),
+        min: min,
+        max: max,
+        zScore: stdDev > 0 ? (current.y - mean) / stdDev : 0
+    };
+}
+
+// Format a statistic value with precision suited to its magnitude
+function formatStatValue(value) {
+    const magnitude = Math.abs(value);
+    const digits = magnitude >= 1000 ? 0 : magnitude >= 10 ? 2 : 4;
+    return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+// Color code a percentile: high may be overvalued, low may be undervalued
+function getPercentileColor(percentile) {
+    if (percentile > 80) return '#dc3545'; // High - potentially overvalued
+    if (percentile < 20) return '#28a745'; // Low - potentially undervalued
+    return '#667eea'; // Normal
+}
+
+// Escape text for an HTML template (labels carry user-chosen asset names)
+function escapeHtml(text) {
+    return String(text).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Update statistics panel from the charted datasets (one row per series)
+function updateStats(datasets) {
+    const body = document.getElementById('statsTableBody');
+    if (!body) return;
+
+    if (!datasets || datasets.length === 0) {
+        body.innerHTML = '<tr><td colspan="7" class="stats-empty">No data to summarize for the current selection</td></tr>';
+        return;
+    }
+
+    const formatDate = date => new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+
+    body.innerHTML = datasets.map(dataset => {
+        const seriesStats = computeSeriesStats(dataset);
+        return `
+            <tr>
+                <td class="stats-series"><span class="stats-series-label"><span class="color-swatch" style="background: ${seriesStats.color};"></span>${escapeHtml(seriesStats.label)}</span></td>
+                <td>${formatStatValue(seriesStats.current.y)}<span class="stats-date">${formatDate(seriesStats.current.x)}</span></td>
+                <td style="color: ${getPercentileColor(seriesStats.rangePercentile)};">${seriesStats.rangePercentile.toFixed(1)}%</td>
+                <td style="color: ${getPercentileColor(seriesStats.fullPercentile)};">${seriesStats.fullPercentile.toFixed(1)}%</td>
+                <td>${formatStatValue(seriesStats.min.y)}<span class="stats-date">${formatDate(seriesStats.min.x)}</span></td>
+                <td>${formatStatValue(seriesStats.max.y)}<span class="stats-date">${formatDate(seriesStats.max.x)}</span></td>
+                <td>${seriesStats.zScore >= 0 ? '+' : ''}${seriesStats.zScore.toFixed(2)}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Analysis panel views
+const ANALYSIS_VIEWS = {
+    'rolling': { label: 'Rolling N-year returns' },
+    'distribution': { label: 'Distribution of N-year returns' },
+    'forward': { label: 'Forward N-year return vs percentile' },
+    'drawdown': { label: 'Drawdown from running peak' }
+};
+
+// How far a window's start/end point may be from the exact N-year offset (covers monthly data)
+const RETURN_WINDOW_TOLERANCE_MS = 45 * 24 * 60 * 60 * 1000;
+
+// Get the selected analysis view and window length in years
+function getAnalysisSettings() {
+    const view = document.getElementById('analysisView')?.value;
+    const years = parseInt(document.getElementById('analysisYears')?.value) || 10;
+    return {
+        view: ANALYSIS_VIEWS[view] ? view : 'rolling',
+        years: Math.min(Math.max(years, 1), 50)
+    };
+}
+
+// Index of the last point at or before a time, or -1 (points sorted by x)
+function findPointAtOrBefore(points, time) {
+    let low = 0;
+    let high = points.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (points[mid].x.getTime() <= time) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+}
+
+// Annualized return (%) between two points
+function annualizedReturn(startPoint, endPoint) {
+    const years = (endPoint.x - startPoint.x) / MS_PER_YEAR;
+    if (years <= 0 || !(startPoint.y > 0) || !(endPoint.y > 0)) return null;
+    return (Math.pow(endPoint.y / startPoint.y, 1 / years) - 1) * 100;
+}
+
+// N-year windows ending at each point: { start, end, value } with value = annualized return (%)
+function computeReturnWindows(points, years) {
+    const offset = years * MS_PER_YEAR;
+    const windows = [];
+
+    points.forEach(endPoint => {
+        const target = endPoint.x.getTime() - offset;
+        const startIndex = findPointAtOrBefore(points, target + RETURN_WINDOW_TOLERANCE_MS);
+        if (startIndex === -1) return;
+
+        const startPoint = points[startIndex];
+        if (Math.abs(startPoint.x.getTime() - target) > RETURN_WINDOW_TOLERANCE_MS) return;
+
+        const value = annualizedReturn(startPoint, endPoint);
+        if (value !== null) {
+            windows.push({ start: startPoint.x, end: endPoint.x, value: value, startValue: startPoint.y });
+        }
+    });
+
+    return windows;
+}
+
+// Best, worst and median window plus the share of positive windows
+function summarizeReturnWindows(windows) {
+    if (windows.length === 0) return null;
+
+    const sorted = [...windows].sort((a, b) => a.value - b.value);
+    return {
+        worst: sorted[0],
+        best: sorted[sorted.length - 1],
+        median: sorted[Math.floor((sorted.length - 1) / 2)],
+        positiveShare: windows.filter(window => window.value > 0).length / windows.length * 100,
+        count: windows.length
+    };
+}
+
+// Percent of an ascending-sorted array strictly below a value (binary search)
+function percentileRankSorted(sorted, value) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (sorted[mid] < value) low = mid + 1;
+        else high = mid;
+    }
+    return sorted.length > 0 ? low / sorted.length * 100 : null;
+}
+
+// Shared histogram bins (in % per year) for several series of window returns
+function buildReturnHistogram(seriesValues, binCount = 20) {
+    const allValues = seriesValues.flat();
+    const min = Math.min(...allValues);
+    const max = Math.max(...allValues);
+    const width = (max - min) / binCount || 1;
+
+    const labels = Array.from({ length: binCount }, (_, i) => {
+        const from = min + i * width;
+        return `${from.toFixed(1)}% to ${(from + width).toFixed(1)}%`;
+    });
+    const counts = seriesValues.map(values => {
+        const bins = new Array(binCount).fill(0);
+        values.forEach(value => {
+            bins[Math.min(Math.floor((value - min) / width), binCount - 1)]++;
+        });
+        return bins;
+    });
+
+    return { labels, counts };
+}
+
+// Percent below the running peak at each point, plus the deepest drawdown and time under water
+// maxDrawdown: { depth (%), peak, trough, recovery (null if not yet recovered) }
+// longestUnderWater: the longest stretch from a peak until it was regained (or the series ended)
+function computeDrawdowns(points) {
+    if (points.length === 0) return null;
+
+    const series = [];
+    let peak = points[0];
+    let maxDrawdown = { depth: 0, peak: points[0].x, trough: points[0].x, recovery: points[0].x };
+    let candidate = null; // Deepest drawdown since the current peak, waiting to see if it recovers
+    let longestUnderWater = null;
+    let underWaterSince = null;
+    let timeUnderWater = 0;
+
+    const closeUnderWater = (end, recovered) => {
+        const duration = end - underWaterSince;
+        timeUnderWater += duration;
+        if (!longestUnderWater || duration > longestUnderWater.duration) {
+            longestUnderWater = { start: underWaterSince, end: end, duration: duration, recovered: recovered };
+        }
+        underWaterSince = null;
+    };
+
+    points.forEach(point => {
+        if (point.y >= peak.y) {
+            if (underWaterSince) closeUnderWater(point.x, true);
+            if (candidate) {
+                candidate.recovery = point.x;
+                candidate = null;
+            }
+            peak = point;
+            series.push({ x: point.x, y: 0 });
+            return;
+        }
+
+        const depth = (point.y / peak.y - 1) * 100;
+        series.push({ x: point.x, y: depth });
+        if (!underWaterSince) underWaterSince = peak.x;
+
+        if (depth < maxDrawdown.depth) {
+            maxDrawdown = { depth: depth, peak: peak.x, trough: point.x, recovery: null };
+            candidate = maxDrawdown;
+        }
+    });
+
+    const last = points[points.length - 1];
+    if (underWaterSince) closeUnderWater(last.x, false);
+
+    const span = last.x - points[0].x;
+    return {
+        series: series,
+        maxDrawdown: maxDrawdown,
+        longestUnderWater: longestUnderWater,
+        underWaterShare: span > 0 ? timeUnderWater / span * 100 : 0,
+        current: series[series.length - 1].y
+    };
+}
+
+// Format a duration in milliseconds as years, or months when short
+function formatDuration(ms) {
+    const years = ms / MS_PER_YEAR;
+    return years >= 1 ? `${years.toFixed(1)} years` : `${Math.round(years * 12)} months`;
+}
+
+// Drawdown view of the analysis panel, over the selected range
+function updateDrawdownAnalysis(summary, canvas) {
+    const formatMonth = date => date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+    const series = chartedDatasets
+        .map(dataset => ({ dataset, drawdowns: computeDrawdowns(dataset.data) }))
+        .filter(item => item.drawdowns);
+
+    summary.innerHTML = series.map(({ dataset, drawdowns }) => {
+        const max = drawdowns.maxDrawdown;
+        const recovery = max.recovery ? `recovered ${formatMonth(max.recovery)}` : 'not yet recovered';
+        const longest = drawdowns.longestUnderWater;
+        return `<strong>${escapeHtml(dataset.label)}</strong> — Max drawdown ${max.depth.toFixed(1)}% (peak ${formatMonth(max.peak)}, trough ${formatMonth(max.trough)}, ${recovery}).
+            ${longest ? `Longest under water: ${formatDuration(longest.duration)}${longest.recovered ? '' : ' (ongoing)'} · ` : ''}Below peak ${drawdowns.underWaterShare.toFixed(0)}% of the time`;
+    }).join('<br>');
+
+    try {
+        analysisChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: series.map(({ dataset, drawdowns }) => ({
+                    label: dataset.label,
+                    data: drawdowns.series,
+                    borderColor: dataset.borderColor,
+                    backgroundColor: hexToRgba(dataset.borderColor, 0.15),
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                    fill: series.length === 1 ? 'origin' : false
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    title: { display: true, text: ANALYSIS_VIEWS.drawdown.label },
+                    legend: { display: series.length > 1 },
+                    tooltip: {
+                        callbacks: {
+                            label: context => `${context.dataset.label}: ${context.parsed.y.toFixed(1)}%`
+                        }
+                    }
+                },
+                scales: {
+                    x: { type: 'time', time: { unit: 'year', displayFormats: { year: 'yyyy' } } },
+                    y: { max: 0, title: { display: true, text: 'Below running peak (%)' } }
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error creating drawdown chart:', error);
+    }
+}
+
+// Rebuild the analysis panel for the charted series
+// Windows use the full history so rolling values exist from the start of the selected range
+function updateAnalysis() {
+    const summary = document.getElementById('analysisSummary');
+    const canvas = document.getElementById('analysis-chart');
+    if (!summary || !canvas) return;
+
+    if (analysisChart) {
+        analysisChart.destroy();
+        analysisChart = null;
+    }
+
+    if (chartedDatasets.length === 0) {
+        summary.textContent = 'No series charted.';
+        return;
+    }
+
+    const { view, years } = getAnalysisSettings();
+    document.getElementById('analysisYearsGroup').style.display = view === 'drawdown' ? 'none' : 'flex';
+    if (view === 'drawdown') {
+        updateDrawdownAnalysis(summary, canvas);
+        return;
+    }
+
+    const dateRange = getDateRange();
+    const formatMonth = date => date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+    const formatWindow = window => `${window.value >= 0 ? '+' : ''}${window.value.toFixed(2)}%/yr (${formatMonth(window.start)} → ${formatMonth(window.end)})`;
+
+    const series = chartedDatasets.map(dataset => {
+        const points = getFullHistoryPoints(dataset);
+        const windows = computeReturnWindows(points, years);
+        return {
+            dataset: dataset,
+            points: points,
+            windows: windows,
+            rangeWindows: windows.filter(window => window.end >= dateRange.start && window.end <= dateRange.end)
+        };
+    });
+
+    const usable = series.filter(item => item.rangeWindows.length > 0);
+    if (usable.length === 0) {
+        summary.textContent = `Not enough history for ${years}-year windows in the selected range.`;
+        return;
+    }
 
-    // Update DOM
-    document.getElementById('currentCAPE').textContent = stats.currentCAPE.toFixed(2);
-    document.getElementById('currentGold').textContent = `$${stats.currentGold.toFixed(2)}`;
-    document.getElementById('currentRatio').textContent = stats.currentRatio.toFixed(4);
-    document.getElementById('percentile').textContent = `${stats.percentile.toFixed(1)}%`;
+    // Summary lines: best, worst and median window per series
+    summary.innerHTML = usable.map(item => {
+        const stats = summarizeReturnWindows(item.rangeWindows);
+        return `<strong>${escapeHtml(item.dataset.label)}</strong> — ${stats.count} windows, ${stats.positiveShare.toFixed(0)}% positive.
+            Best ${formatWindow(stats.best)} · Worst ${formatWindow(stats.worst)} · Median ${formatWindow(stats.median)}`;
+    }).join('<br>');
+
+    const baseOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+            title: {
+                display: true,
+                text: ANALYSIS_VIEWS[view].label.replace('N-year', `${years}-year`)
+            },
+            legend: { display: usable.length > 1 }
+        }
+    };
 
-    // Color code percentile
-    const percentileElement = document.getElementById('percentile');
-    if (stats.percentile > 80) {
-        percentileElement.style.color = '#dc3545'; // High - potentially overvalued
-    } else if (stats.percentile < 20) {
-        percentileElement.style.color = '#28a745'; // Low - potentially undervalued
+    let config;
+    if (view === 'distribution') {
+        const histogram = buildReturnHistogram(usable.map(item => item.rangeWindows.map(window => window.value)));
+        config = {
+            type: 'bar',
+            data: {
+                labels: histogram.labels,
+                datasets: usable.map((item, i) => ({
+                    label: item.dataset.label,
+                    data: histogram.counts[i],
+                    backgroundColor: hexToRgba(item.dataset.borderColor, 0.6)
+                }))
+            },
+            options: {
+                ...baseOptions,
+                scales: {
+                    x: { title: { display: true, text: `${years}-year annualized return` } },
+                    y: { title: { display: true, text: 'Number of windows' }, beginAtZero: true }
+                }
+            }
+        };
+    } else if (view === 'forward') {
+        // x = where the value sat in its full history at the window start, y = what followed
+        config = {
+            type: 'scatter',
+            data: {
+                datasets: usable.map(item => {
+                    const sortedValues = item.points.map(point => point.y).sort((a, b) => a - b);
+                    const forward = item.windows.filter(window => window.start >= dateRange.start && window.start <= dateRange.end);
+                    return {
+                        label: item.dataset.label,
+                        data: forward.map(window => ({
+                            x: percentileRankSorted(sortedValues, window.startValue),
+                            y: window.value,
+                            start: window.start
+                        })),
+                        backgroundColor: hexToRgba(item.dataset.borderColor, 0.4),
+                        pointRadius: 2
+                    };
+                })
+            },
+            options: {
+                ...baseOptions,
+                scales: {
+                    x: { type: 'linear', min: 0, max: 100, title: { display: true, text: 'Percentile at start (all history)' } },
+                    y: { title: { display: true, text: `Forward ${years}-year annualized return (%)` } }
+                },
+                plugins: {
+                    ...baseOptions.plugins,
+                    tooltip: {
+                        callbacks: {
+                            label: context => `${context.dataset.label}: ${formatMonth(context.raw.start)} — ${context.parsed.x.toFixed(0)}th percentile → ${context.parsed.y.toFixed(2)}%/yr`
+                        }
+                    }
+                }
+            }
+        };
     } else {
-        percentileElement.style.color = '#667eea'; // Normal
+        config = {
+            type: 'line',
+            data: {
+                datasets: usable.map(item => ({
+                    label: item.dataset.label,
+                    data: item.rangeWindows.map(window => ({ x: window.end, y: window.value })),
+                    borderColor: item.dataset.borderColor,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: false
+                }))
+            },
+            options: {
+                ...baseOptions,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    x: { type: 'time', time: { unit: 'year', displayFormats: { year: 'yyyy' } } },
+                    y: { title: { display: true, text: 'Annualized return (%)' } }
+                }
+            }
+        };
+    }
+
+    try {
+        analysisChart = new Chart(canvas.getContext('2d'), config);
+    } catch (error) {
+        console.error('Error creating analysis chart:', error);
     }
 }
 
+// Update the "data as of" badge in the stats panel
+function updateDataBadge() {
+    const badge = document.getElementById('dataAsOf');
+    if (!badge) return;
+
+    const asOf = getDataAsOf();
+    if (!asOf) {
+        badge.style.display = 'none';
+        return;
+    }
+
+    const asOfStr = asOf.toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+
+    const suffixes = {
+        cached: ' (cached)',
+        refreshing: ' (cached, refreshing…)',
+        offline: ' (offline - showing cached data)',
+        live: ''
+    };
+
+    const failedSources = Object.keys(DATA_SOURCES)
+        .filter(key => sourceStatus[key]?.state === 'error')
+        .map(key => DATA_SOURCES[key].name);
+    const failedSuffix = failedSources.length > 0 ? ` · Unavailable: ${failedSources.join(', ')}` : '';
+
+    badge.textContent = `Data as of ${asOfStr}${suffixes[dataFreshness] || ''}${failedSuffix}`;
+    badge.className = `data-badge data-badge-${failedSources.length > 0 ? 'offline' : dataFreshness}`;
+    badge.title = Object.entries(DATA_SOURCES)
+        .map(([key, source]) => {
+            const status = sourceStatus[key];
+            return `${source.name}: ${status ? status.state : 'not loaded'}${status?.error ? ` (${status.error})` : ''}`;
+        })
+        .join('\n');
+    badge.style.display = 'block';
+}
+
 // Setup event listeners
 function setupEventListeners() {
     // Date range controls
@@ -1344,6 +3972,7 @@ function setupEventListeners() {
 
         // Hide custom range by default
         customRange.style.display = 'none';
+        document.getElementById('eventRange').style.display = this.value === 'event' ? 'flex' : 'none';
 
         if (this.value === 'custom') {
             customRange.style.display = 'flex';
@@ -1354,20 +3983,43 @@ function setupEventListeners() {
 
     document.getElementById('applyRange').addEventListener('click', updateChartAndCalculator);
 
-    // Compare mode toggle
-    document.getElementById('compareMode').addEventListener('change', function() {
-        const singleConfig = document.getElementById('singleAssetConfig');
-        const compareConfig = document.getElementById('compareConfig');
+    // Event window controls
+    document.getElementById('eventPeriod').addEventListener('change', updateChartAndCalculator);
+    document.getElementById('eventYears').addEventListener('change', updateChartAndCalculator);
+    document.getElementById('eventAlign').addEventListener('change', updateChartAndCalculator);
 
-        if (this.checked) {
-            singleConfig.style.display = 'none';
-            compareConfig.style.display = 'block';
-            document.getElementById('calculatorResults').style.display = 'none';
-        } else {
-            singleConfig.style.display = 'block';
-            compareConfig.style.display = 'none';
-        }
+    // Y-axis mode and valuation bands
+    document.getElementById('yScale').addEventListener('change', updateChartAndCalculator);
+    document.getElementById('dateMatch').addEventListener('change', function() {
+        setDateMatchMode(this.value);
+        updateChartAndCalculator();
+    });
+    document.getElementById('bandTrend').addEventListener('change', updateChartAndCalculator);
+    document.getElementById('bandWidth').addEventListener('change', updateChartAndCalculator);
+    document.querySelectorAll('.regime-toggle').forEach(input => {
+        input.addEventListener('change', updateChartAndCalculator);
+    });
+
+    // Analysis panel
+    document.getElementById('analysisView').addEventListener('change', function() {
+        updateAnalysis();
+        updateURL();
+    });
+    document.getElementById('analysisYears').addEventListener('change', function() {
+        updateAnalysis();
+        updateURL();
+    });
+
+    // Compare and portfolio mode toggles (at most one is on; neither means single-asset mode)
+    document.getElementById('compareMode').addEventListener('change', function() {
+        if (this.checked) document.getElementById('portfolioMode').checked = false;
+        showConfigForMode();
+        updateChartAndCalculator();
+    });
 
+    document.getElementById('portfolioMode').addEventListener('change', function() {
+        if (this.checked) document.getElementById('compareMode').checked = false;
+        showConfigForMode();
         updateChartAndCalculator();
     });
 
@@ -1408,6 +4060,11 @@ function setupEventListeners() {
 
     document.getElementById('investmentAmount').addEventListener('input', debounce(autoCalculateReturn, 500));
 
+    // Periodic contributions change both the chart (portfolio line) and the calculator
+    document.getElementById('contributionAmount').addEventListener('input', debounce(updateChartAndCalculator, 500));
+    document.getElementById('contributionFrequency').addEventListener('change', updateChartAndCalculator);
+    document.getElementById('contributionIndexed').addEventListener('change', updateChartAndCalculator);
+
     // Auto-update when comparisons change
     document.getElementById('addComparison').addEventListener('click', function() {
         addComparisonRow();
@@ -1468,14 +4125,21 @@ function debounce(func, wait) {
 // Auto-calculate return if amount is present
 function autoCalculateReturn() {
     const amount = parseFloat(document.getElementById('investmentAmount').value);
-    if (amount > 0) {
+    if (amount > 0 || getContributionSettings()) {
         calculateInvestmentReturn();
     } else {
         // Hide results if no amount
-        document.getElementById('calculatorResults').style.display = 'none';
+        hideCalculatorResults();
     }
 }
 
+// Hide the single-asset calculator's result panels
+function hideCalculatorResults() {
+    document.getElementById('calculatorResults').style.display = 'none';
+    document.getElementById('regimeReturns').style.display = 'none';
+    document.getElementById('contributionResults').style.display = 'none';
+}
+
 // Add a new comparison row
 function addComparisonRow() {
     const container = document.getElementById('compareAssets');
@@ -1546,8 +4210,10 @@ function calculateInvestmentReturn() {
     const startValue = getAssetValue(startPoint, asset, denominator);
     const endValue = getAssetValue(endPoint, asset, denominator);
 
+    // Series that can be zero or negative (excess CAPE yield, spreads) have no meaningful return
     if (!startValue || !endValue || startValue <= 0 || endValue <= 0) {
-        alert('Invalid data for the selected dates');
+        hideCalculatorResults();
+        showNotice(`Returns can't be calculated for ${getDatasetLabel(asset, denominator)}: it is zero or negative at the start or end of the selected range.`);
         return;
     }
 
@@ -1585,78 +4251,1132 @@ function calculateInvestmentReturn() {
         console.log(`Final Value: $${finalValue.toFixed(2)}`);
         console.log(`Total Return: $${totalReturn.toFixed(2)}`);
     }
-    console.log(`Return Percentage: ${returnPercentage.toFixed(2)}%`);
-    console.log(`Annualized Return (CAGR): ${annualizedReturn.toFixed(2)}%`);
-    console.log('==============================');
+    console.log(`Return Percentage: ${returnPercentage.toFixed(2)}%`);
+    console.log(`Annualized Return (CAGR): ${annualizedReturn.toFixed(2)}%`);
+    console.log('==============================');
+
+    // Drawdowns along the way, from the same getAssetValue series
+    const drawdowns = computeDrawdowns(filteredData
+        .map(point => ({ x: point.date, y: getAssetValue(point, asset, denominator) }))
+        .filter(point => point.y > 0));
+
+    // Display results
+    displayCalculatorResults({
+        drawdowns: drawdowns,
+        initialAmount: amount,
+        finalValue: finalValue,
+        totalReturn: totalReturn,
+        returnPercentage: returnPercentage,
+        annualizedReturn: annualizedReturn,
+        asset: asset,
+        denominator: denominator,
+        startDate: startPoint.date,
+        endDate: endPoint.date,
+        hasAmount: amount > 0
+    });
+
+    displayRegimeReturns(computeRegimeReturns(asset, denominator, dateRange));
+    displayContributionResults(asset, denominator, dateRange);
+}
+
+// Periodic contribution schedules (months between contributions)
+const CONTRIBUTION_FREQUENCIES = {
+    'monthly': { label: 'month', months: 1 },
+    'quarterly': { label: 'quarter', months: 3 },
+    'yearly': { label: 'year', months: 12 }
+};
+
+// Get the contribution settings, or null when no periodic contribution is set
+function getContributionSettings() {
+    const amount = parseFloat(document.getElementById('contributionAmount')?.value);
+    if (!(amount > 0)) return null;
+
+    const frequency = document.getElementById('contributionFrequency').value;
+    return {
+        amount: amount,
+        frequency: CONTRIBUTION_FREQUENCIES[frequency] ? frequency : 'monthly',
+        indexed: document.getElementById('contributionIndexed').checked
+    };
+}
+
+// Convert nominal dollars on a date into units of the denominator (real $, nominal $, oz gold, ...)
+// Returns null when that isn't possible (no CPI, no price that day, or a ratio like CAPE)
+function usdToDenominatorUnits(nominalUsd, denominator, date) {
+    if (denominator === 'nominal') return nominalUsd;
+    if (denominator === 'real') return toRealValue(nominalUsd, 'nominal', date);
+
+    const definition = getAssetDefinition(denominator);
+    if (!definition || definition.basis === 'ratio') return null;
+
+    const price = toNominalValue(getAssetPriceForDate(denominator, date), definition.basis, date);
+    return price > 0 ? nominalUsd / price : null;
+}
+
+// Money-weighted (internal) rate of return, annualized, for contributions and a final value
+// Solved by bisection on the future value of the contributions at the end date
+function computeMoneyWeightedReturn(contributions, endDate, finalValue) {
+    if (contributions.length === 0 || !(finalValue > 0)) return null;
+
+    const futureValueGap = rate => finalValue - contributions.reduce((sum, contribution) =>
+        sum + contribution.amount * Math.pow(1 + rate, (endDate - contribution.date) / MS_PER_YEAR), 0);
+
+    let low = -0.99;
+    let high = 10;
+    if (futureValueGap(low) < 0 || futureValueGap(high) > 0) return null;
+
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (futureValueGap(mid) > 0) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2 * 100;
+}
+
+// Simulate buying the asset on a schedule over the date range, valued in the denominator
+// Each contribution is in dollars (optionally growing with CPI) and converted to denominator units when made
+function simulateContributions(asset, denominator, dateRange, settings) {
+    const dataset = createDataset(asset, denominator, dateRange);
+    if (!dataset || dataset.error) {
+        return { error: dataset?.error || 'No data for this selection' };
+    }
+
+    const points = dataset.data;
+    const startCPI = settings.indexed ? getCPIForDate(points[0].x) : null;
+    if (settings.indexed && !startCPI) {
+        return { error: 'Inflation data is unavailable, so contributions can\'t be indexed.' };
+    }
+
+    const months = CONTRIBUTION_FREQUENCIES[settings.frequency].months;
+    const firstDate = points[0].x;
+    let contributionNumber = 0;
+    let nextContribution = firstDate;
+
+    let units = 0;
+    let totalContributed = 0;
+    const contributions = [];
+    const portfolio = [];
+    const contributed = [];
+
+    for (const point of points) {
+        // Contributions due by this point buy at this point's value
+        while (nextContribution <= point.x) {
+            const dollars = settings.indexed
+                ? settings.amount * (getCPIForDate(point.x) / startCPI)
+                : settings.amount;
+            const amount = usdToDenominatorUnits(dollars, denominator, point.x);
+            if (amount === null) {
+                return { error: `Contributions can't be valued in ${getDenominatorName(denominator)}.` };
+            }
+
+            units += amount / point.y;
+            totalContributed += amount;
+            contributions.push({ date: point.x, amount: amount, dollars: dollars });
+
+            contributionNumber++;
+            nextContribution = new Date(firstDate.getFullYear(), firstDate.getMonth() + contributionNumber * months, firstDate.getDate());
+        }
+
+        portfolio.push({ x: point.x, y: units * point.y });
+        contributed.push({ x: point.x, y: totalContributed });
+    }
+
+    const last = points[points.length - 1];
+    const finalValue = units * last.y;
+    return {
+        portfolio: portfolio,
+        contributed: contributed,
+        contributions: contributions,
+        totalContributed: totalContributed,
+        totalDollars: contributions.reduce((sum, contribution) => sum + contribution.dollars, 0),
+        finalValue: finalValue,
+        moneyWeightedReturn: computeMoneyWeightedReturn(contributions, last.x, finalValue)
+    };
+}
+
+// Unit label for amounts valued in a denominator
+function getDenominatorUnitLabel(denominator) {
+    if (denominator === 'real') return 'real $';
+    if (denominator === 'nominal') return '$';
+    return getAssetDefinition(denominator)?.unit || getDenominatorName(denominator);
+}
+
+// Portfolio-value and contributed lines for the main chart, on their own right-hand axis
+function buildContributionDatasets(asset, denominator, dateRange) {
+    const settings = getContributionSettings();
+    if (!settings) return [];
+
+    const simulation = simulateContributions(asset, denominator, dateRange, settings);
+    if (simulation.error) return [];
+
+    const common = { yAxisID: 'portfolio', pointRadius: 0, fill: false, isPortfolio: true };
+    return [
+        {
+            ...common,
+            label: `Portfolio value (${getDenominatorUnitLabel(denominator)})`,
+            data: simulation.portfolio,
+            borderColor: '#20c997',
+            borderWidth: 2
+        },
+        {
+            ...common,
+            label: `Total contributed (${getDenominatorUnitLabel(denominator)})`,
+            data: simulation.contributed,
+            borderColor: '#6c757d',
+            borderWidth: 1,
+            borderDash: [4, 4],
+            stepped: true
+        }
+    ];
+}
+
+// Render periodic-contribution results below the lump-sum calculator
+function displayContributionResults(asset, denominator, dateRange) {
+    const container = document.getElementById('contributionResults');
+    const settings = getContributionSettings();
+    if (!settings) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const simulation = simulateContributions(asset, denominator, dateRange, settings);
+    if (simulation.error) {
+        container.innerHTML = `<div class="result-card"><h3>Periodic Contributions</h3><p class="result-detail">${escapeHtml(simulation.error)}</p></div>`;
+        container.style.display = 'grid';
+        return;
+    }
+
+    const unit = escapeHtml(getDenominatorUnitLabel(denominator)); // Custom denominators carry user-chosen names
+    const formatAmount = value => `${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${unit}`;
+    const frequency = CONTRIBUTION_FREQUENCIES[settings.frequency];
+    const gain = simulation.finalValue / simulation.totalContributed - 1;
+    const gainColor = gain >= 0 ? '#28a745' : '#dc3545';
+    const mwr = simulation.moneyWeightedReturn;
+
+    container.innerHTML = `
+        <div class="result-card">
+            <h3>Contributions</h3>
+            <p>${simulation.contributions.length}</p>
+            <span class="result-detail">$${settings.amount.toLocaleString('en-US')} per ${frequency.label}${settings.indexed ? ', indexed to inflation' : ''}
+$${simulation.totalDollars.toLocaleString('en-US', { maximumFractionDigits: 0 })} in dollars paid</span>
+        </div>
+        <div class="result-card">
+            <h3>Total Contributed</h3>
+            <p>${formatAmount(simulation.totalContributed)}</p>
+        </div>
+        <div class="result-card">
+            <h3>Portfolio Value</h3>
+            <p style="color: ${gainColor};">${formatAmount(simulation.finalValue)}</p>
+            <span class="result-detail">${gain >= 0 ? '+' : ''}${(gain * 100).toFixed(2)}% on contributions</span>
+        </div>
+        <div class="result-card">
+            <h3>Money-Weighted Return</h3>
+            <p style="color: ${mwr === null || mwr >= 0 ? '#28a745' : '#dc3545'};">${mwr === null ? '-' : `${mwr.toFixed(2)}%`}</p>
+            <span class="result-detail">Annualized IRR</span>
+        </div>
+    `;
+    container.style.display = 'grid';
+}
+
+// Return over each regime span within the date range, grouped by category
+// Categories with non-overlapping spans also get a compounded total
+function computeRegimeReturns(asset, denominator, dateRange) {
+    return Object.entries(REGIME_CATEGORIES).map(([category, info]) => {
+        const rows = REGIME_SPANS
+            .filter(span => span.category === category)
+            .map(span => {
+                const regime = getRegimeDates(span);
+                const range = {
+                    start: regime.start > dateRange.start ? regime.start : dateRange.start,
+                    end: regime.end < dateRange.end ? regime.end : dateRange.end
+                };
+                if (range.start >= range.end) return null;
+
+                const dataset = createDataset(asset, denominator, range);
+                if (!dataset || dataset.error || dataset.data.length < 2) return null;
+
+                const first = dataset.data[0];
+                const last = dataset.data[dataset.data.length - 1];
+                if (!(first.y > 0) || !(last.y > 0)) return null;
+
+                const multiplier = last.y / first.y;
+                const years = (last.x - first.x) / MS_PER_YEAR;
+                return {
+                    label: span.label,
+                    start: first.x,
+                    end: last.x,
+                    multiplier: multiplier,
+                    years: years,
+                    annualized: years >= 1 ? Math.pow(multiplier, 1 / years) - 1 : null
+                };
+            })
+            .filter(Boolean);
+
+        const multiplier = rows.reduce((product, row) => product * row.multiplier, 1);
+        const years = rows.reduce((sum, row) => sum + row.years, 0);
+
+        return {
+            category: category,
+            label: info.label,
+            rows: rows,
+            compound: !!info.compound,
+            multiplier: multiplier,
+            years: years,
+            annualized: years > 0 ? Math.pow(multiplier, 1 / years) - 1 : null
+        };
+    }).filter(group => group.rows.length > 0);
+}
+
+// Format a return multiplier as a signed percentage
+function formatReturnPercent(multiplier) {
+    const percent = (multiplier - 1) * 100;
+    return `${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%`;
+}
+
+// Render per-regime returns below the calculator results
+function displayRegimeReturns(groups) {
+    const container = document.getElementById('regimeReturns');
+    if (groups.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const formatMonth = date => date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+    const returnCell = multiplier => `<td style="color: ${multiplier >= 1 ? '#28a745' : '#dc3545'};">${formatReturnPercent(multiplier)}</td>`;
+    const annualizedCell = annualized => annualized === null ? '<td>-</td>' : returnCell(1 + annualized);
+
+    container.innerHTML = '<h3>Returns by Regime</h3>' + groups.map(group => `
+        <details class="regime-group">
+            <summary>
+                <span class="color-swatch" style="background: ${REGIME_CATEGORIES[group.category].color};"></span>
+                ${group.compound
+                    ? `${group.label}: ${formatReturnPercent(group.multiplier)} compounded over ${group.years.toFixed(1)} years
+                       ${group.annualized !== null ? `(${formatReturnPercent(1 + group.annualized)}/yr)` : ''}`
+                    : `${group.label} (${group.rows.length})`}
+            </summary>
+            <table class="stats-table">
+                <thead>
+                    <tr><th>Regime</th><th>Period</th><th>Return</th><th>Annualized</th></tr>
+                </thead>
+                <tbody>
+                    ${group.rows.map(row => `
+                        <tr>
+                            <td>${row.label}</td>
+                            <td class="stats-date">${formatMonth(row.start)} → ${formatMonth(row.end)}</td>
+                            ${returnCell(row.multiplier)}
+                            ${annualizedCell(row.annualized)}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </details>
+    `).join('');
+    container.style.display = 'block';
+}
+
+
+// Portfolio backtests - several weighted assets rebalanced on a schedule, valued in any denominator
+// Get the portfolio settings from the page
+function getPortfolioSettings() {
+    return {
+        components: readWeightRows(document.getElementById('portfolioComponents')),
+        rebalance: document.getElementById('portfolioRebalance').value,
+        denominator: document.getElementById('portfolioDenominator').value,
+        amount: parseFloat(document.getElementById('portfolioAmount').value) || 0
+    };
+}
+
+// Convert a real (inflation-adjusted) USD value to units of a denominator (null if it can't be valued)
+function realToDenominatorUnits(realValue, denominator, date) {
+    if (denominator === 'real') return realValue;
+    if (denominator === 'nominal') return toNominalValue(realValue, 'real', date);
+
+    const definition = getAssetDefinition(denominator);
+    if (!definition || definition.basis === 'ratio') return null;
+
+    const price = getAssetRealValueForDate(denominator, date);
+    return price > 0 ? realValue / price : null;
+}
+
+// Keep the last point of each calendar month, so daily and monthly series give comparable statistics
+function sampleMonthEnds(points) {
+    const byMonth = new Map();
+    for (const point of points) {
+        const date = new Date(point.x);
+        byMonth.set(date.getFullYear() * 12 + date.getMonth(), point);
+    }
+    return [...byMonth.values()];
+}
+
+// Risk and return statistics for a value series ([{x, y}])
+// Volatility is the annualized standard deviation of month-end returns (or yearly, for yearly data)
+// The Sharpe- and Sortino-like ratios use a 0% risk-free rate: the series is already in real or asset terms
+function computePortfolioStats(points) {
+    if (points.length < 2) return null;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const years = (last.x - first.x) / MS_PER_YEAR;
+    const multiplier = last.y / first.y;
+
+    const samples = sampleMonthEnds(points);
+    const returns = samples.slice(1).map((point, i) => point.y / samples[i].y - 1);
+    const periodsPerYear = years > 0 ? returns.length / years : 0;
+
+    let volatility = null;
+    let sharpe = null;
+    let sortino = null;
+    if (returns.length >= 2 && periodsPerYear > 0) {
+        const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+        const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+        const downside = Math.sqrt(returns.reduce((sum, value) => sum + Math.min(value, 0) ** 2, 0) / returns.length);
+        const annualMean = mean * periodsPerYear;
+
+        volatility = Math.sqrt(variance * periodsPerYear) * 100;
+        sharpe = volatility > 0 ? annualMean * 100 / volatility : null;
+        sortino = downside > 0 ? annualMean / (downside * Math.sqrt(periodsPerYear)) : null;
+    }
+
+    const cagr = years > 0 ? (Math.pow(multiplier, 1 / years) - 1) * 100 : null;
+    const drawdowns = computeDrawdowns(points);
+    const maxDepth = drawdowns.maxDrawdown.depth;
+
+    return {
+        start: first.x,
+        end: last.x,
+        years: years,
+        multiplier: multiplier,
+        cagr: cagr,
+        volatility: volatility,
+        sharpe: sharpe,
+        sortino: sortino,
+        calmar: cagr !== null && maxDepth < 0 ? cagr / -maxDepth : null,
+        drawdowns: drawdowns
+    };
+}
+
+// Simulate the portfolio over the date range, valued in the denominator
+// Returns { components, points, stats } or { error }
+function runPortfolioBacktest(settings, dateRange) {
+    let components;
+    try {
+        components = normalizeWeights(settings.components);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    const codes = components.map(component => component.code);
+    for (const code of [...codes, settings.denominator]) {
+        const unavailableReason = getUnavailableReason(code);
+        if (unavailableReason) return { error: `${getDenominatorName(code)}: ${unavailableReason}` };
+        if (!USD_DENOMINATORS[code] && !getAssetDefinition(code)) return { error: `${code} isn't loaded` };
+    }
+
+    const denominatorDefinition = getAssetDefinition(settings.denominator);
+    if (denominatorDefinition?.basis === 'ratio') {
+        return { error: `A portfolio can't be valued in ${denominatorDefinition.name} - choose USD or a priced asset.` };
+    }
+
+    const points = simulateRebalancedPortfolio(components, settings.rebalance, getCommonDates(codes, dateRange))
+        .map(point => ({ x: point.date, y: realToDenominatorUnits(point.value, settings.denominator, point.date) }))
+        .filter(point => point.y > 0);
+
+    if (points.length < 2) {
+        const dateRangeStr = `${dateRange.start.getFullYear()}-${dateRange.end.getFullYear()}`;
+        return { error: `Not enough data for this portfolio valued in ${getDenominatorName(settings.denominator)} for ${dateRangeStr}.\n\nEvery asset needs data over the selected range - try a shorter or later range.` };
+    }
+
+    return { components, points, stats: computePortfolioStats(points) };
+}
+
+// Label for a portfolio valued in a denominator, e.g. "Portfolio (60% S&P 500 + 40% Gold, rebalanced yearly) / Gold"
+function getPortfolioLabel(components, rebalance, denominator) {
+    const composition = describeBasket({ components, rebalance });
+    return USD_DENOMINATORS[denominator]
+        ? `Portfolio (${composition}) (${USD_DENOMINATORS[denominator].name})`
+        : `Portfolio (${composition}) / ${getDenominatorName(denominator)}`;
+}
+
+// Chart the portfolio's equity curve against each of its assets, all starting at 100
+function createPortfolioChart() {
+    const settings = getPortfolioSettings();
+    const dateRange = getDateRange();
+    const backtest = runPortfolioBacktest(settings, dateRange);
+
+    if (backtest.error) {
+        showChartError(backtest.error);
+        setChartedDatasets([], '');
+        updateStats([]);
+        displayPortfolioResults(null, settings);
+        return;
+    }
+
+    // Components are charted from the portfolio's start so every line begins together
+    const componentRange = { start: backtest.stats.start, end: dateRange.end };
+    const componentDatasets = backtest.components
+        .map(component => createDataset(component.code, settings.denominator, componentRange))
+        .filter(dataset => dataset && !dataset.error)
+        .map(dataset => ({ ...dataset, borderWidth: 1.5 }));
+
+    const portfolioDataset = {
+        label: getPortfolioLabel(backtest.components, settings.rebalance, settings.denominator),
+        data: backtest.points,
+        asset: null,
+        denominator: settings.denominator,
+        borderColor: '#212529',
+        backgroundColor: 'rgba(33, 37, 41, 0.1)',
+        borderWidth: 3,
+        pointRadius: 0,
+        tension: 0.1
+    };
+
+    const datasets = [portfolioDataset, ...componentDatasets];
+    const title = `Portfolio Backtest (valued in ${getDenominatorName(settings.denominator)}, start = 100)`;
+    setChartedDatasets(datasets, title);
+    createChart(rebaseDatasets(datasets), title);
+    updateStats(datasets);
+
+    displayPortfolioResults({
+        ...backtest,
+        componentStats: componentDatasets.map(dataset => ({ dataset, stats: computePortfolioStats(dataset.data) }))
+    }, settings);
+}
+
+// Show the backtest's results in the calculator area: headline cards plus a portfolio vs. assets table
+function displayPortfolioResults(backtest, settings) {
+    const cards = document.getElementById('portfolioResults');
+    const comparison = document.getElementById('portfolioComparison');
+
+    if (!backtest) {
+        cards.style.display = 'none';
+        comparison.style.display = 'none';
+        return;
+    }
+
+    const { stats } = backtest;
+    const formatDate = date => date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    const formatMonth = date => date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+    const formatPercent = value => value === null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+    const formatRatio = value => value === null ? '-' : value.toFixed(2);
+    const returnColor = value => value === null || value >= 0 ? '#28a745' : '#dc3545';
+    const max = stats.drawdowns.maxDrawdown;
+    // Custom denominators carry user-chosen names, so names and units are escaped
+    const unit = escapeHtml(getDenominatorUnitLabel(settings.denominator));
+    const denominatorName = escapeHtml(getDenominatorName(settings.denominator));
+
+    // Amounts are in the denominator's units, as in the investment calculator: $1,000.00 or 12.50 oz
+    const denominatorDefinition = getAssetDefinition(settings.denominator);
+    const formatAmount = value => {
+        const number = value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return denominatorDefinition ? `${number} ${escapeHtml(denominatorDefinition.unit)}` : `$${number}`;
+    };
+
+    const finalCard = settings.amount > 0
+        ? `<div class="result-card">
+            <h3>Final Value</h3>
+            <p style="color: ${returnColor(stats.multiplier - 1)};">${formatAmount(settings.amount * stats.multiplier)}</p>
+            <span class="result-detail">From ${formatAmount(settings.amount)}, valued in ${denominatorName}</span>
+        </div>`
+        : `<div class="result-card">
+            <h3>Total Return</h3>
+            <p style="color: ${returnColor(stats.multiplier - 1)};">${formatPercent((stats.multiplier - 1) * 100)}</p>
+            <span class="result-detail">In ${unit} terms</span>
+        </div>`;
+
+    cards.innerHTML = `
+        <div class="result-card">
+            <h3>Period</h3>
+            <p style="font-size: 1.2em; white-space: pre-line;">${formatDate(stats.start)}\nto\n${formatDate(stats.end)}</p>
+            <span class="result-detail">${stats.years.toFixed(1)} years, ${BASKET_REBALANCE_PERIODS[settings.rebalance]?.label.toLowerCase() || 'never'} rebalancing</span>
+        </div>
+        ${finalCard}
+        <div class="result-card">
+            <h3>CAGR</h3>
+            <p style="color: ${returnColor(stats.cagr)};">${formatPercent(stats.cagr)}</p>
+        </div>
+        <div class="result-card">
+            <h3>Volatility</h3>
+            <p>${stats.volatility === null ? '-' : `${stats.volatility.toFixed(2)}%`}</p>
+            <span class="result-detail">Annualized</span>
+        </div>
+        <div class="result-card">
+            <h3>Max Drawdown</h3>
+            <p style="color: #dc3545;">${max.depth.toFixed(2)}%</p>
+            <span class="result-detail">${formatMonth(max.peak)} → ${formatMonth(max.trough)}, ${max.recovery ? `recovered ${formatMonth(max.recovery)}` : 'not yet recovered'}</span>
+        </div>
+        <div class="result-card">
+            <h3>Sharpe-like Ratio</h3>
+            <p>${formatRatio(stats.sharpe)}</p>
+            <span class="result-detail">Sortino-like ${formatRatio(stats.sortino)} · Calmar ${formatRatio(stats.calmar)}
+0% risk-free rate</span>
+        </div>
+    `;
+    cards.style.display = 'grid';
+
+    const rows = [
+        { label: 'Portfolio', color: '#212529', stats },
+        ...backtest.componentStats
+            .filter(item => item.stats)
+            .map(item => ({ label: getAssetName(item.dataset.asset), color: item.dataset.borderColor, stats: item.stats }))
+    ];
+
+    comparison.innerHTML = `
+        <h3>Portfolio vs. Its Assets</h3>
+        <table class="stats-table">
+            <thead>
+                <tr><th>Series</th><th>CAGR</th><th>Volatility</th><th>Max Drawdown</th><th>Sharpe-like</th><th>Sortino-like</th><th>Calmar</th></tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td class="stats-series"><span class="stats-series-label"><span class="color-swatch" style="background: ${row.color};"></span>${escapeHtml(row.label)}</span></td>
+                        <td style="color: ${returnColor(row.stats.cagr)};">${formatPercent(row.stats.cagr)}</td>
+                        <td>${row.stats.volatility === null ? '-' : `${row.stats.volatility.toFixed(2)}%`}</td>
+                        <td style="color: #dc3545;">${row.stats.drawdowns.maxDrawdown.depth.toFixed(2)}%</td>
+                        <td>${formatRatio(row.stats.sharpe)}</td>
+                        <td>${formatRatio(row.stats.sortino)}</td>
+                        <td>${formatRatio(row.stats.calmar)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    comparison.style.display = 'block';
+}
+
+// Display calculator results
+function displayCalculatorResults(results) {
+    const resultsDiv = document.getElementById('calculatorResults');
+
+    // Format dates
+    const startDateStr = results.startDate.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+    const endDateStr = results.endDate.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+    const label = getDatasetLabel(results.asset, results.denominator);
+
+    document.getElementById('periodDates').textContent = `${label}\n${startDateStr} → ${endDateStr}`;
+
+    // Determine unit based on denominator
+    let unit = '$';
+    let unitSuffix = '';
+
+    const denominatorDefinition = getAssetDefinition(results.denominator);
+    if (denominatorDefinition) {
+        unit = '';
+        unitSuffix = ` ${denominatorDefinition.unit}`;
+    }
+
+    if (results.hasAmount) {
+        document.getElementById('initialAmount').textContent = `${unit}${results.initialAmount.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}${unitSuffix}`;
+        document.getElementById('finalValue').textContent = `${unit}${results.finalValue.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}${unitSuffix}`;
+        document.getElementById('totalReturn').textContent = `${unit}${results.totalReturn.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}${unitSuffix}`;
+    } else {
+        document.getElementById('initialAmount').textContent = '-';
+        document.getElementById('finalValue').textContent = '-';
+        document.getElementById('totalReturn').textContent = '-';
+    }
+
+    document.getElementById('returnPercentage').textContent = `${results.returnPercentage.toFixed(2)}%`;
+    document.getElementById('annualizedReturn').textContent = `${results.annualizedReturn.toFixed(2)}%`;
+
+    // Max drawdown with its peak, trough and recovery, and the longest time under water
+    const drawdowns = results.drawdowns;
+    if (drawdowns) {
+        const max = drawdowns.maxDrawdown;
+        const formatMonth = date => date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+        const longest = drawdowns.longestUnderWater;
+
+        document.getElementById('maxDrawdown').textContent = `${max.depth.toFixed(1)}%`;
+        document.getElementById('maxDrawdownDates').textContent = max.depth < 0
+            ? `Peak ${formatMonth(max.peak)} → trough ${formatMonth(max.trough)}\n${max.recovery ? `Recovered ${formatMonth(max.recovery)}` : 'Not yet recovered'}`
+            : 'No drawdown in this range';
+        document.getElementById('timeUnderWater').textContent = longest ? formatDuration(longest.duration) : '-';
+        document.getElementById('timeUnderWaterDetail').textContent = longest
+            ? `${formatMonth(longest.start)} → ${longest.recovered ? formatMonth(longest.end) : 'ongoing'}\nBelow peak ${drawdowns.underWaterShare.toFixed(0)}% of the time`
+            : '';
+    }
+
+    // Color code the returns
+    const returnColor = results.returnPercentage >= 0 ? '#28a745' : '#dc3545';
+    document.getElementById('totalReturn').style.color = returnColor;
+    document.getElementById('returnPercentage').style.color = returnColor;
+    document.getElementById('annualizedReturn').style.color = returnColor;
+
+    resultsDiv.style.display = 'grid';
+}
+
+// Save text or a Blob as a file download
+function downloadFile(content, fileName, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Local calendar date as YYYY-MM-DD (series dates are local midnights, so toISOString could shift them)
+function formatExportDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Quote a CSV field when needed
+function csvEscape(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build CSV text from a header row and data rows, with optional "# key: value" metadata lines first
+function toCsv(columns, rows, metadata = []) {
+    const lines = metadata.map(([key, value]) => `# ${key}: ${value}`);
+    lines.push(columns.map(csvEscape).join(','));
+    rows.forEach(row => lines.push(row.map(csvEscape).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+// File-name friendly version of a label
+function toFileSlug(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+}
+
+// Charted datasets aligned on a shared date column, plus a description of the chart
+function buildChartExport() {
+    if (chartedDatasets.length === 0) return null;
+
+    const dateRange = getDateRange();
+    const byDate = new Map();
+    chartedDatasets.forEach((dataset, column) => {
+        dataset.data.forEach(point => {
+            const key = formatExportDate(point.x);
+            if (!byDate.has(key)) byDate.set(key, new Array(chartedDatasets.length).fill(null));
+            byDate.get(key)[column] = point.y;
+        });
+    });
+
+    const rows = [...byDate.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, values]) => [date, ...values]);
+
+    return {
+        title: chartedTitle,
+        mode: document.getElementById('portfolioMode').checked ? 'portfolio'
+            : document.getElementById('compareMode').checked ? 'compare' : 'single',
+        dateRange: { start: formatExportDate(dateRange.start), end: formatExportDate(dateRange.end) },
+        series: chartedDatasets.map(dataset => ({
+            label: dataset.label,
+            asset: dataset.asset,
+            assetName: dataset.asset ? getAssetName(dataset.asset) : dataset.label,
+            denominator: dataset.denominator,
+            denominatorName: getDenominatorName(dataset.denominator)
+        })),
+        exportedAt: new Date().toISOString(),
+        url: window.location.href,
+        columns: ['date', ...chartedDatasets.map(dataset => dataset.label)],
+        rows: rows
+    };
+}
+
+// Download the charted series as CSV or JSON
+function exportChartData(format) {
+    const data = buildChartExport();
+    if (!data) {
+        alert('⚠️ There is no chart data to export yet');
+        return;
+    }
+
+    const fileName = toFileSlug(data.title);
+    if (format === 'json') {
+        downloadFile(JSON.stringify(data, null, 2), `${fileName}.json`, 'application/json');
+        return;
+    }
+
+    const metadata = [
+        ['Title', data.title],
+        ['Mode', data.mode],
+        ['Date range', `${data.dateRange.start} to ${data.dateRange.end}`],
+        ...data.series.map(series => ['Series', `${series.label} (asset=${series.asset}, denominator=${series.denominator})`]),
+        ['Exported', data.exportedAt],
+        ['URL', data.url]
+    ];
+    downloadFile(toCsv(data.columns, data.rows, metadata), `${fileName}.csv`, 'text/csv');
+}
+
+// Sources whose raw data can be exported: built-in sources plus custom assets
+function getRawExportSources() {
+    const sources = Object.entries(DATA_SOURCES)
+        .filter(([key]) => isSourceAvailable(key))
+        .map(([key, source]) => ({ key, name: source.name }));
+
+    const origins = { import: 'imported', formula: 'formula', basket: 'basket' };
+    Object.entries(customAssets).forEach(([code, asset]) => {
+        sources.push({ key: code, name: `${asset.longName || asset.name} (${origins[asset.source] || 'Polygon.io'})` });
+    });
+    return sources;
+}
+
+// Download a raw source series exactly as loaded (all fields, one row per date)
+function exportRawSeries(key, format) {
+    const data = getSourceData(key);
+    if (!data || data.length === 0) {
+        alert('⚠️ No data loaded for this source');
+        return;
+    }
+
+    const fields = [...new Set(data.flatMap(point => Object.keys(point)))].filter(field => field !== 'date');
+    const rows = data.map(point => [formatExportDate(point.date), ...fields.map(field => point[field] ?? null)]);
+    const name = DATA_SOURCES[key]?.name || customAssets[key]?.longName || key;
+    const fileName = `${toFileSlug(name)}-raw`;
+
+    if (format === 'json') {
+        const json = {
+            source: key,
+            name: name,
+            url: DATA_SOURCES[key]?.url || null,
+            fetchedAt: (dataFetchedAt[key] || customAssets[key]?.fetchedAt) ?? null,
+            exportedAt: new Date().toISOString(),
+            data: rows.map(([date, ...values]) => Object.fromEntries([['date', date], ...fields.map((field, i) => [field, values[i]])]))
+        };
+        downloadFile(JSON.stringify(json, null, 2), `${fileName}.json`, 'application/json');
+        return;
+    }
+
+    const metadata = [['Source', name]];
+    if (DATA_SOURCES[key]?.url) metadata.push(['URL', DATA_SOURCES[key].url]);
+    metadata.push(['Exported', new Date().toISOString()]);
+    downloadFile(toCsv(['date', ...fields], rows, metadata), `${fileName}.csv`, 'text/csv');
+}
+
+// Color themes for exported images
+const IMAGE_THEMES = {
+    light: { background: '#ffffff', text: '#212529', muted: '#6c757d', grid: 'rgba(0, 0, 0, 0.1)' },
+    dark: { background: '#1e1f26', text: '#f1f3f5', muted: '#adb5bd', grid: 'rgba(255, 255, 255, 0.12)' }
+};
+
+// Layout width in CSS pixels; larger exports scale this up so text stays proportional
+const IMAGE_LAYOUT_WIDTH = 1200;
+
+// Data-source credits for the charted series
+// Real values depend on CPI from the Shiller stock data, so it's credited whenever they're charted
+function getChartCredits() {
+    const credits = new Set();
+    const cpiCredit = `${DATA_SOURCES.stock.name} (CPI)`;
+
+    // Formulas and baskets are credited through the assets they're built from
+    const creditAsset = code => {
+        const custom = customAssets[code];
+        const definition = getAssetDefinition(code);
+
+        if (code === 'real' || definition?.basis === 'real') credits.add(cpiCredit);
+        if (DERIVED_ASSET_SOURCES[custom?.source]) {
+            getDerivedAssetInputs(custom).forEach(creditAsset);
+        } else if (custom) {
+            credits.add(custom.source === 'import' ? `${custom.longName || custom.name} (imported from ${custom.fileName || 'file'})` : 'Polygon.io');
+        } else if (definition && DATA_SOURCES[definition.source]) {
+            credits.add(DATA_SOURCES[definition.source].name);
+        }
+    };
+
+    chartedDatasets.forEach(dataset => {
+        [dataset.asset, dataset.denominator].forEach(creditAsset);
+    });
+
+    if (credits.has(DATA_SOURCES.stock.name)) credits.delete(cpiCredit);
+    return [...credits];
+}
+
+// Chart.js options for an offscreen re-render: fixed size, no animation, themed colors
+function buildImageChartOptions(options, theme, pixelRatio) {
+    const themeScale = scale => ({
+        ...scale,
+        ticks: { ...scale.ticks, color: theme.muted },
+        grid: { ...scale.grid, color: theme.grid },
+        title: { ...scale.title, display: true, color: theme.text }
+    });
+
+    return {
+        ...options,
+        responsive: false,
+        maintainAspectRatio: false,
+        animation: false,
+        devicePixelRatio: pixelRatio,
+        plugins: {
+            ...options.plugins,
+            title: { ...options.plugins.title, color: theme.text, font: { size: 20, weight: 'bold' } },
+            subtitle: { ...options.plugins.subtitle, color: theme.muted },
+            legend: { ...options.plugins.legend, labels: { ...options.plugins.legend.labels, color: theme.text, font: { size: 12 } } },
+            tooltip: { enabled: false }
+        },
+        scales: Object.fromEntries(Object.entries(options.scales).map(([id, scale]) => [id, themeScale(scale)]))
+    };
+}
+
+// Line height of the export footer, in layout pixels
+const IMAGE_FOOTER_LINE_HEIGHT = 18;
+
+// Layout of an exported image: a chart area above a footer carrying the title, date range,
+// data credits and share link, all in layout pixels (IMAGE_LAYOUT_WIDTH wide)
+function getImageLayout(width, height) {
+    const pixelRatio = width / IMAGE_LAYOUT_WIDTH;
+    const layoutHeight = Math.round(height / pixelRatio);
+
+    const dateRange = getDateRange();
+    const footerLines = [
+        `${chartedTitle} · ${formatExportDate(dateRange.start)} to ${formatExportDate(dateRange.end)}`,
+        `Data: ${getChartCredits().join(', ') || 'n/a'}`,
+        window.location.href
+    ];
+    const footerHeight = footerLines.length * IMAGE_FOOTER_LINE_HEIGHT + 24;
+
+    return { pixelRatio, layoutHeight, footerLines, chartHeight: layoutHeight - footerHeight };
+}
+
+// Chart.js config re-rendering the current chart in a theme, on a themed background
+function buildImageChartConfig(theme, pixelRatio) {
+    return {
+        type: currentChartConfig.type,
+        data: {
+            datasets: currentChartConfig.data.datasets.map(dataset => ({ ...dataset, data: dataset.data.slice() }))
+        },
+        options: buildImageChartOptions(currentChartConfig.options, theme, pixelRatio),
+        plugins: [{
+            id: 'exportBackground',
+            beforeDraw: chart => {
+                const context = chart.ctx;
+                context.save();
+                context.fillStyle = theme.background;
+                context.fillRect(0, 0, chart.width, chart.height);
+                context.restore();
+            }
+        }]
+    };
+}
+
+// Draw the footer lines below the chart area (context in layout pixels)
+function drawImageFooter(context, layout, theme) {
+    context.save();
+    context.font = '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+    context.textBaseline = 'top';
+    layout.footerLines.forEach((line, i) => {
+        context.fillStyle = i === 0 ? theme.text : theme.muted;
+        context.fillText(line, 20, layout.chartHeight + 12 + i * IMAGE_FOOTER_LINE_HEIGHT, IMAGE_LAYOUT_WIDTH - 40);
+    });
+    context.restore();
+}
+
+// Re-render the current chart offscreen at the given pixel size, with the footer, as a canvas
+function renderChartImage(width, height, themeName) {
+    if (!currentChartConfig) return null;
+
+    const theme = IMAGE_THEMES[themeName] || IMAGE_THEMES.light;
+    const layout = getImageLayout(width, height);
+
+    // Chart.js renders into its own canvas at chartHeight (layout pixels) × pixelRatio
+    const chartCanvas = document.createElement('canvas');
+    chartCanvas.width = IMAGE_LAYOUT_WIDTH;
+    chartCanvas.height = layout.chartHeight;
+    const exportChart = new Chart(chartCanvas.getContext('2d'), buildImageChartConfig(theme, layout.pixelRatio));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = theme.background;
+    context.fillRect(0, 0, width, height);
+    context.drawImage(chartCanvas, 0, 0, width, Math.round(layout.chartHeight * layout.pixelRatio));
+    exportChart.destroy();
+
+    context.save();
+    context.scale(layout.pixelRatio, layout.pixelRatio);
+    drawImageFooter(context, layout, theme);
+    context.restore();
+
+    return canvas;
+}
+
+// A canvas2svg (C2S) context that Chart.js can draw into directly, turning every line, fill and label into SVG
+// C2S predates a few context methods Chart.js calls, so those are filled in here (dashes become stroke-dasharray)
+function createSvgContext(width, height) {
+    const context = new C2S(width, height);
+    let lineDash = [];
+    let font = context.font;
+
+    // C2S only parses double-quoted font families, Chart.js writes single-quoted ones
+    Object.defineProperty(context, 'font', {
+        get: () => font,
+        set: value => { font = String(value).replace(/'/g, '"'); }
+    });
+
+    context.getContext = () => context; // Chart.js acquires its drawing context from the "canvas" it's given
+    context.setLineDash = segments => { lineDash = segments; };
+    context.getLineDash = () => lineDash;
+    context.resetTransform = () => {};
+    context.ellipse = (x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterClockwise) => {
+        context.arc(x, y, Math.max(radiusX, radiusY), startAngle, endAngle, counterClockwise);
+    };
+
+    // As on a canvas, filling or stroking with no path since the last text (annotation labels do this) paints nothing
+    // A clip takes the path drawn so far, which C2S would otherwise leave empty, hiding everything clipped
+    const hasPath = () => context.__currentElement.nodeName === 'path';
+    context.clip = function() {
+        if (hasPath()) this.__currentElement.setAttribute('d', this.__currentDefaultPath);
+        C2S.prototype.clip.call(this);
+    };
+    context.fill = function() {
+        if (hasPath()) C2S.prototype.fill.call(this);
+    };
+    context.stroke = function() {
+        if (!hasPath()) return;
+        C2S.prototype.stroke.call(this);
+        if (lineDash.length > 0) this.__currentElement.setAttribute('stroke-dasharray', lineDash.join(' '));
+    };
+    return context;
+}
+
+// Re-render the current chart as vector SVG markup at the given pixel size, with the footer as text
+function renderChartSvg(width, height, themeName) {
+    if (!currentChartConfig) return null;
+
+    const theme = IMAGE_THEMES[themeName] || IMAGE_THEMES.light;
+    const layout = getImageLayout(width, height);
+
+    // Chart.js sizes itself to the context, so it gets the chart area and the footer is drawn below it
+    const context = createSvgContext(IMAGE_LAYOUT_WIDTH, layout.chartHeight);
+    context.fillStyle = theme.background;
+    context.fillRect(0, 0, IMAGE_LAYOUT_WIDTH, layout.layoutHeight);
+
+    const exportChart = new Chart(context, { ...buildImageChartConfig(theme, 1), platform: Chart.BasicPlatform });
+    drawImageFooter(context, layout, theme);
+
+    const svg = context.getSvg();
+    svg.removeAttributeNS('http://www.w3.org/2000/xmlns/', 'xlink'); // Unused, and some serializers write it twice
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', `0 0 ${IMAGE_LAYOUT_WIDTH} ${layout.layoutHeight}`);
+    const markup = context.getSerializedSvg(true);
+
+    // Destroying clears the "canvas", so it happens after the markup is taken
+    exportChart.destroy();
+    return markup;
+}
+
+// Download the current chart as a PNG or an SVG
+function exportChartImage(format) {
+    const [width, height] = document.getElementById('imageSize').value.split('x').map(Number);
+    const themeName = document.getElementById('imageTheme').value;
+
+    if (!currentChartConfig) {
+        alert('⚠️ There is no chart to export yet');
+        return;
+    }
 
-    // Display results
-    displayCalculatorResults({
-        initialAmount: amount,
-        finalValue: finalValue,
-        totalReturn: totalReturn,
-        returnPercentage: returnPercentage,
-        annualizedReturn: annualizedReturn,
-        asset: asset,
-        denominator: denominator,
-        startDate: startPoint.date,
-        endDate: endPoint.date,
-        hasAmount: amount > 0
+    updateURL(); // The footer carries the share link for exactly this view
+    const fileName = `${toFileSlug(chartedTitle)}-${width}x${height}`;
+    if (format === 'svg') {
+        downloadFile(renderChartSvg(width, height, themeName), `${fileName}.svg`, 'image/svg+xml');
+        return;
+    }
+
+    const canvas = renderChartImage(width, height, themeName);
+    canvas.toBlob(blob => downloadFile(blob, `${fileName}.png`, 'image/png'), 'image/png');
+}
+
+// Open the export modal with the current list of raw sources
+function openExportModal() {
+    const select = document.getElementById('exportRawSource');
+    select.innerHTML = '';
+    getRawExportSources().forEach(source => {
+        const option = document.createElement('option');
+        option.value = source.key;
+        option.textContent = source.name;
+        select.appendChild(option);
     });
+
+    document.getElementById('exportChartSummary').textContent = chartedDatasets.length > 0
+        ? `${chartedTitle} — ${chartedDatasets.length} series`
+        : 'No chart to export yet.';
+    document.getElementById('exportModal').style.display = 'flex';
 }
 
+// Setup Event Listeners for data export
+function setupExportListeners() {
+    document.getElementById('exportButton')?.addEventListener('click', openExportModal);
+    document.getElementById('exportChartCsv').addEventListener('click', () => exportChartData('csv'));
+    document.getElementById('exportChartJson').addEventListener('click', () => exportChartData('json'));
+    document.getElementById('exportRawCsv').addEventListener('click', () => exportRawSeries(document.getElementById('exportRawSource').value, 'csv'));
+    document.getElementById('exportRawJson').addEventListener('click', () => exportRawSeries(document.getElementById('exportRawSource').value, 'json'));
+    document.getElementById('exportPng').addEventListener('click', () => exportChartImage('png'));
+    document.getElementById('exportSvg').addEventListener('click', () => exportChartImage('svg'));
+}
 
-// Display calculator results
-function displayCalculatorResults(results) {
-    const resultsDiv = document.getElementById('calculatorResults');
+// Show a dismissible notice above the chart (replaces any current notice)
+// action (optional): { label, onClick } for a button next to the message
+function showNotice(message, type = 'warning', action = null) {
+    const bar = document.getElementById('noticeBar');
+    if (!bar) return;
+
+    bar.className = `notice-bar notice-${type}`;
+    bar.innerHTML = '<span class="notice-message"></span><button class="notice-close" title="Dismiss">&times;</button>';
+    bar.querySelector('.notice-message').textContent = message;
+    bar.querySelector('.notice-close').addEventListener('click', hideNotice);
+
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'secondary-button notice-action';
+        button.textContent = action.label;
+        button.addEventListener('click', action.onClick);
+        bar.insertBefore(button, bar.querySelector('.notice-close'));
+    }
+    bar.style.display = 'flex';
+}
 
-    // Format dates
-    const startDateStr = results.startDate.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
-    const endDateStr = results.endDate.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
-    const label = getDatasetLabel(results.asset, results.denominator);
+// Hide the notice bar
+function hideNotice() {
+    const bar = document.getElementById('noticeBar');
+    if (bar) bar.style.display = 'none';
+}
 
-    document.getElementById('periodDates').textContent = `${label}\n${startDateStr} → ${endDateStr}`;
+let requestStatusTimer = null;
 
-    // Determine unit based on denominator
-    let unit = '$';
-    let unitSuffix = '';
+// Show queued/active Polygon.io requests (and any rate-limit wait) in the request status pill
+function updateRequestStatus() {
+    const status = document.getElementById('requestStatus');
+    if (!status) return;
 
-    if (results.denominator === 'gold') {
-        unit = '';
-        unitSuffix = ' oz gold';
-    } else if (results.denominator === 'home') {
-        unit = '';
-        unitSuffix = ' homes';
-    } else if (results.denominator === 'sp500') {
-        unit = '';
-        unitSuffix = ' S&P 500 units';
-    } else if (results.denominator === 'cape') {
-        unit = '';
-        unitSuffix = ' CAPE units';
-    } else if (results.denominator === 'nominal' || results.denominator === 'real') {
-        unit = '$';
-        unitSuffix = '';
+    const parts = [];
+    if (polygonActiveLabel) {
+        parts.push(`⏳ Fetching ${polygonActiveLabel}…`);
     }
-
-    if (results.hasAmount) {
-        document.getElementById('initialAmount').textContent = `${unit}${results.initialAmount.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}${unitSuffix}`;
-        document.getElementById('finalValue').textContent = `${unit}${results.finalValue.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}${unitSuffix}`;
-        document.getElementById('totalReturn').textContent = `${unit}${results.totalReturn.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})}${unitSuffix}`;
-    } else {
-        document.getElementById('initialAmount').textContent = '-';
-        document.getElementById('finalValue').textContent = '-';
-        document.getElementById('totalReturn').textContent = '-';
+    if (polygonWaitUntil > 0) {
+        const seconds = Math.max(0, Math.ceil((polygonWaitUntil - Date.now()) / 1000));
+        parts.push(`⏱️ Waiting ${seconds}s for Polygon.io rate limit`);
+    }
+    if (polygonQueue.length > 0) {
+        const labels = polygonQueue.map(request => request.label);
+        parts.push(`${polygonQueue.length} queued: ${labels.join(', ')}`);
+    }
+    if (parts.length === 0 && polygonInFlight.size > 0) {
+        parts.push(`⏳ Loading ${Array.from(polygonInFlight.keys()).join(', ')}…`);
     }
 
-    document.getElementById('returnPercentage').textContent = `${results.returnPercentage.toFixed(2)}%`;
-    document.getElementById('annualizedReturn').textContent = `${results.annualizedReturn.toFixed(2)}%`;
+    if (parts.length === 0) {
+        status.style.display = 'none';
+        clearInterval(requestStatusTimer);
+        requestStatusTimer = null;
+        return;
+    }
 
-    // Color code the returns
-    const returnColor = results.returnPercentage >= 0 ? '#28a745' : '#dc3545';
-    document.getElementById('totalReturn').style.color = returnColor;
-    document.getElementById('returnPercentage').style.color = returnColor;
-    document.getElementById('annualizedReturn').style.color = returnColor;
+    status.textContent = parts.join(' · ');
+    status.style.display = 'block';
 
-    resultsDiv.style.display = 'grid';
+    // Tick the countdown while waiting
+    if (polygonWaitUntil > 0 && !requestStatusTimer) {
+        requestStatusTimer = setInterval(updateRequestStatus, 1000);
+    } else if (polygonWaitUntil === 0 && requestStatusTimer) {
+        clearInterval(requestStatusTimer);
+        requestStatusTimer = null;
+    }
 }
 
 // Show loading state
@@ -1764,6 +5484,7 @@ function setupSettingsListeners() {
         if (currentKey) {
             input.value = currentKey;
         }
+        document.getElementById('historyDepth').value = String(getPolygonHistoryYears());
 
         modal.style.display = 'flex';
     });
@@ -1771,7 +5492,7 @@ function setupSettingsListeners() {
     // Close modal
     document.querySelectorAll('.close-modal').forEach(btn => {
         btn.addEventListener('click', function() {
-            document.getElementById('settingsModal').style.display = 'none';
+            this.closest('.modal').style.display = 'none';
         });
     });
 
@@ -1789,11 +5510,22 @@ function setupSettingsListeners() {
             saveApiKey(apiKey);
             alert('✅ API key saved successfully!');
             document.getElementById('settingsModal').style.display = 'none';
+
+            // Load tickers from a shared link that were waiting for a key
+            if (pendingURLTickers.length > 0) {
+                hideNotice();
+                restoreTickersFromURL(pendingURLTickers).then(updateChartAndCalculator);
+            }
         } else {
             alert('⚠️ Please enter an API key');
         }
     });
 
+    // History depth applies to the next ticker fetch; cached tickers extend their history on next use
+    document.getElementById('historyDepth')?.addEventListener('change', function() {
+        savePolygonHistoryYears(parseInt(this.value));
+    });
+
     // Clear API key
     document.getElementById('clearApiKey')?.addEventListener('click', function() {
         clearApiKey();
@@ -1802,8 +5534,623 @@ function setupSettingsListeners() {
     });
 }
 
+// Parsed file waiting in the import modal
+let pendingImport = null;
+
+// Open the import modal, optionally with a file already chosen
+function openImportModal(file) {
+    document.getElementById('importModal').style.display = 'flex';
+    renderImportedAssetList();
+    if (file) {
+        readImportFile(file);
+    }
+}
+
+// Read and parse a chosen/dropped file, then show a preview
+async function readImportFile(file) {
+    const status = document.getElementById('importStatus');
+    const nameInput = document.getElementById('importName');
+
+    try {
+        const text = await file.text();
+        const data = parseImportedSeries(text, file.name);
+        pendingImport = { data, fileName: file.name };
+
+        if (!nameInput.value) {
+            nameInput.value = file.name.replace(/\.[^.]+$/, '');
+        }
+
+        status.textContent = `✓ ${file.name}: ${data.length} points (${data[0].date.getFullYear()}-${data[data.length - 1].date.getFullYear()})`;
+        status.className = 'validation-status success';
+        document.getElementById('confirmImport').disabled = false;
+    } catch (error) {
+        pendingImport = null;
+        status.textContent = `⚠️ ${file.name}: ${error.message}`;
+        status.className = 'validation-status error';
+        document.getElementById('confirmImport').disabled = true;
+    }
+}
+
+// List imported series in the modal so they can be removed
+function renderImportedAssetList() {
+    const list = document.getElementById('importedAssetList');
+    const imported = Object.entries(customAssets).filter(([, asset]) => asset.source === 'import');
+
+    list.innerHTML = '';
+    if (imported.length === 0) {
+        list.innerHTML = '<li class="help-text">No imported series yet.</li>';
+        return;
+    }
+
+    for (const [code, asset] of imported) {
+        const item = document.createElement('li');
+        item.innerHTML = `
+            <span class="color-swatch" style="background: ${asset.color};"></span>
+            <span class="imported-name"><span class="imported-label"></span> <span class="suggestion-code">${code}</span></span>
+            <button class="secondary-button" data-code="${code}">🗑️ Remove</button>
+        `;
+        item.querySelector('.imported-label').textContent = asset.longName;
+        item.querySelector('button').addEventListener('click', function() {
+            removeCustomAsset(code);
+            renderImportedAssetList();
+        });
+        list.appendChild(item);
+    }
+}
+
+// Setup Event Listeners for CSV/JSON imports
+function setupImportListeners() {
+    const dropZone = document.getElementById('importDropZone');
+    const fileInput = document.getElementById('importFile');
+
+    document.getElementById('importButton')?.addEventListener('click', function() {
+        document.getElementById('importColor').value = nextCustomAssetColor();
+        openImportModal();
+    });
+
+    dropZone.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', function() {
+        if (this.files[0]) readImportFile(this.files[0]);
+    });
+
+    // Files can be dropped on the drop zone or anywhere on the page
+    document.addEventListener('dragover', function(e) {
+        if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')) {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        }
+    });
+
+    document.addEventListener('dragleave', function(e) {
+        if (!e.relatedTarget) dropZone.classList.remove('drag-over');
+    });
+
+    document.addEventListener('drop', function(e) {
+        const file = e.dataTransfer?.files?.[0];
+        if (!file) return;
+        e.preventDefault();
+        dropZone.classList.remove('drag-over');
+        openImportModal(file);
+    });
+
+    document.getElementById('confirmImport').addEventListener('click', function() {
+        if (!pendingImport) return;
+
+        const name = document.getElementById('importName').value.trim();
+        if (!name) {
+            alert('⚠️ Please enter a name for this series');
+            return;
+        }
+
+        const code = importCustomSeries({
+            name: name,
+            color: document.getElementById('importColor').value,
+            basis: document.getElementById('importBasis').value,
+            data: pendingImport.data,
+            fileName: pendingImport.fileName
+        });
+
+        pendingImport = null;
+        fileInput.value = '';
+        document.getElementById('importName').value = '';
+        document.getElementById('importStatus').textContent = '';
+        this.disabled = true;
+        document.getElementById('importModal').style.display = 'none';
+
+        // Show the new series right away in single-asset mode (portfolios and comparisons keep their assets)
+        if (!document.getElementById('compareMode').checked && !document.getElementById('portfolioMode').checked) {
+            const assetInput = document.getElementById('asset1');
+            assetInput.value = getAssetName(code);
+            assetInput.dataset.asset = code;
+        }
+        updateChartAndCalculator();
+    });
+}
+
+// Code of the formula being edited in the formula modal (null when adding)
+let editingFormulaCode = null;
+
+// Open the formula modal
+function openFormulaModal() {
+    resetFormulaForm();
+    document.getElementById('formulaModal').style.display = 'flex';
+    renderFormulaList();
+}
+
+// Clear the add/edit form back to "add" mode
+function resetFormulaForm() {
+    editingFormulaCode = null;
+    document.getElementById('formulaName').value = '';
+    document.getElementById('formulaExpression').value = '';
+    document.getElementById('formulaColor').value = nextCustomAssetColor();
+    document.getElementById('formulaBasis').value = 'ratio';
+    document.getElementById('formulaStatus').textContent = '';
+    document.getElementById('saveFormula').textContent = '➕ Add Formula';
+    document.getElementById('cancelFormulaEdit').style.display = 'none';
+}
+
+// Load a formula into the form for editing
+function editFormula(code) {
+    const asset = customAssets[code];
+    if (!asset) return;
+
+    editingFormulaCode = code;
+    document.getElementById('formulaName').value = asset.longName;
+    document.getElementById('formulaExpression').value = asset.expression;
+    document.getElementById('formulaColor').value = asset.color;
+    document.getElementById('formulaBasis').value = asset.basis;
+    document.getElementById('saveFormula').textContent = '💾 Save Changes';
+    document.getElementById('cancelFormulaEdit').style.display = 'block';
+    previewFormula();
+}
+
+// Validate the expression as it's typed and show how many points it produces
+function previewFormula() {
+    const status = document.getElementById('formulaStatus');
+    const expression = document.getElementById('formulaExpression').value;
+
+    if (!expression.trim()) {
+        status.textContent = '';
+        return;
+    }
+
+    try {
+        const data = computeFormulaSeries(expression);
+        status.textContent = data.length > 0
+            ? `✓ ${data.length} points (${data[0].date.getFullYear()}-${data[data.length - 1].date.getFullYear()})`
+            : '⚠️ No values - the assets may not overlap in time';
+        status.className = `validation-status ${data.length > 0 ? 'success' : 'error'}`;
+    } catch (error) {
+        status.textContent = `⚠️ ${error.message}`;
+        status.className = 'validation-status error';
+    }
+}
+
+// List formulas with edit/remove buttons (names and expressions are user text, so set via textContent)
+function renderFormulaList() {
+    const list = document.getElementById('formulaList');
+    const formulas = Object.entries(customAssets).filter(([, asset]) => asset.source === 'formula');
+
+    list.innerHTML = '';
+    if (formulas.length === 0) {
+        list.innerHTML = '<li class="help-text">No formulas yet.</li>';
+        return;
+    }
+
+    for (const [code, asset] of formulas) {
+        const item = document.createElement('li');
+        item.innerHTML = `
+            <span class="color-swatch" style="background: ${asset.color};"></span>
+            <span class="imported-name"><span class="formula-name"></span> <span class="suggestion-code">${code}</span><br><span class="formula-text"></span></span>
+            <button class="secondary-button" data-action="edit">✏️ Edit</button>
+            <button class="secondary-button" data-action="delete">🗑️ Remove</button>
+        `;
+        item.querySelector('.formula-name').textContent = asset.longName;
+        item.querySelector('.formula-text').textContent = asset.expression;
+        item.querySelector('[data-action="edit"]').addEventListener('click', () => editFormula(code));
+        item.querySelector('[data-action="delete"]').addEventListener('click', function() {
+            removeCustomAsset(code);
+            if (editingFormulaCode === code) resetFormulaForm();
+            renderFormulaList();
+        });
+        list.appendChild(item);
+    }
+}
+
+// Setup Event Listeners for formula assets
+function setupFormulaListeners() {
+    document.getElementById('formulaButton')?.addEventListener('click', openFormulaModal);
+    document.getElementById('formulaExpression').addEventListener('input', debounce(previewFormula, 300));
+    document.getElementById('cancelFormulaEdit').addEventListener('click', resetFormulaForm);
+
+    document.getElementById('saveFormula').addEventListener('click', function() {
+        const name = document.getElementById('formulaName').value.trim();
+        if (!name) {
+            alert('⚠️ Please enter a name for this formula');
+            return;
+        }
+
+        let code;
+        try {
+            code = saveFormulaAsset({
+                code: editingFormulaCode,
+                name: name,
+                expression: document.getElementById('formulaExpression').value,
+                color: document.getElementById('formulaColor').value,
+                basis: document.getElementById('formulaBasis').value
+            });
+        } catch (error) {
+            alert(`⚠️ ${error.message}`);
+            return;
+        }
+
+        const wasEditing = !!editingFormulaCode;
+        resetFormulaForm();
+        renderFormulaList();
+
+        // Show a new formula right away in single-asset mode (portfolios and comparisons keep their assets)
+        if (!wasEditing && !document.getElementById('compareMode').checked && !document.getElementById('portfolioMode').checked) {
+            const assetInput = document.getElementById('asset1');
+            assetInput.value = getAssetName(code);
+            assetInput.dataset.asset = code;
+        }
+        updateChartAndCalculator();
+    });
+}
+
+// Add an asset/weight row to a weights list (baskets and portfolios)
+function addWeightRow(container, code = '', weight = '') {
+    const row = document.createElement('div');
+    row.className = 'weight-row';
+    row.innerHTML = `
+        <select class="weight-asset"></select>
+        <input type="number" class="weight-value" min="0" step="1" placeholder="%">
+        <button class="secondary-button" title="Remove">✕</button>
+    `;
+
+    // Options are refreshed on focus so assets added later (tickers, imports) show up
+    const select = row.querySelector('.weight-asset');
+    fillWeightAssetOptions(select, code);
+    select.addEventListener('focus', () => fillWeightAssetOptions(select, select.value));
+    row.querySelector('.weight-value').value = weight;
+
+    row.querySelector('button').addEventListener('click', function() {
+        row.remove();
+        container.dispatchEvent(new Event('input'));
+    });
+
+    container.appendChild(row);
+    container.dispatchEvent(new Event('input'));
+    return row;
+}
+
+// Fill an asset select in a weights row, keeping the chosen code even if it isn't loaded yet (e.g. from a link)
+function fillWeightAssetOptions(select, selected) {
+    const options = getWeightableAssets().map(definition => ({ code: definition.code, name: definition.name }));
+    if (selected && !options.some(option => option.code === selected)) {
+        options.push({ code: selected, name: selected });
+    }
+
+    select.innerHTML = '';
+    for (const option of options) {
+        select.add(new Option(option.name, option.code));
+    }
+    if (selected) select.value = selected;
+}
+
+// Read the rows of a weights list as [{ code, weight }]
+function readWeightRows(container) {
+    return Array.from(container.querySelectorAll('.weight-row')).map(row => ({
+        code: row.querySelector('.weight-asset').value,
+        weight: parseFloat(row.querySelector('.weight-value').value)
+    }));
+}
+
+// Show the sum of the entered weights next to a weights list
+function updateWeightTotal(container, totalElement) {
+    const total = readWeightRows(container).reduce((sum, component) => sum + (component.weight || 0), 0);
+    totalElement.textContent = `Total: ${Number(total.toFixed(2))}%${total > 0 && Math.abs(total - 100) > 0.01 ? ' (scaled to 100%)' : ''}`;
+}
+
+// Setup Event Listeners for the portfolio backtest, starting from a 60/40 S&P 500 / gold mix
+function setupPortfolioListeners() {
+    const container = document.getElementById('portfolioComponents');
+    const rebalanceSelect = document.getElementById('portfolioRebalance');
+    const portfolioMode = document.getElementById('portfolioMode');
+
+    for (const [value, period] of Object.entries(BASKET_REBALANCE_PERIODS)) {
+        rebalanceSelect.add(new Option(period.label, value));
+    }
+    rebalanceSelect.value = 'yearly';
+
+    container.addEventListener('input', () => updateWeightTotal(container, document.getElementById('portfolioWeightTotal')));
+    addWeightRow(container, 'sp500', 60);
+    addWeightRow(container, 'gold', 40);
+
+    // Re-run the backtest as the portfolio is edited
+    const update = debounce(function() {
+        if (portfolioMode.checked) updateChartAndCalculator();
+    }, 500);
+    container.addEventListener('input', update);
+    container.addEventListener('change', update);
+    rebalanceSelect.addEventListener('change', update);
+    document.getElementById('portfolioDenominator').addEventListener('change', update);
+    document.getElementById('portfolioAmount').addEventListener('input', update);
+
+    document.getElementById('addPortfolioComponent').addEventListener('click', () => addWeightRow(container));
+}
+
+// Code of the basket being edited in the basket modal (null when adding)
+let editingBasketCode = null;
+
+// Open the basket modal
+function openBasketModal() {
+    resetBasketForm();
+    document.getElementById('basketModal').style.display = 'flex';
+    renderBasketList();
+}
+
+// Clear the add/edit form back to "add" mode with a 50/50 gold and homes starting point
+function resetBasketForm() {
+    const container = document.getElementById('basketComponents');
+
+    editingBasketCode = null;
+    document.getElementById('basketName').value = '';
+    document.getElementById('basketColor').value = nextCustomAssetColor();
+    document.getElementById('basketRebalance').value = 'yearly';
+    container.innerHTML = '';
+    addWeightRow(container, 'gold', 50);
+    addWeightRow(container, 'home', 50);
+    document.getElementById('saveBasket').textContent = '➕ Add Basket';
+    document.getElementById('cancelBasketEdit').style.display = 'none';
+}
+
+// Load a basket into the form for editing
+function editBasket(code) {
+    const asset = customAssets[code];
+    if (!asset) return;
+
+    const container = document.getElementById('basketComponents');
+    editingBasketCode = code;
+    document.getElementById('basketName').value = asset.longName;
+    document.getElementById('basketColor').value = asset.color;
+    document.getElementById('basketRebalance').value = asset.rebalance;
+    container.innerHTML = '';
+    asset.components.forEach(component => addWeightRow(container, component.code, Number((component.weight * 100).toFixed(2))));
+    document.getElementById('saveBasket').textContent = '💾 Save Changes';
+    document.getElementById('cancelBasketEdit').style.display = 'block';
+}
+
+// List baskets with edit/remove buttons (names are user text, so set via textContent)
+function renderBasketList() {
+    const list = document.getElementById('basketList');
+    const baskets = Object.entries(customAssets).filter(([, asset]) => asset.source === 'basket');
+
+    list.innerHTML = '';
+    if (baskets.length === 0) {
+        list.innerHTML = '<li class="help-text">No baskets yet.</li>';
+        return;
+    }
+
+    for (const [code, asset] of baskets) {
+        const item = document.createElement('li');
+        item.innerHTML = `
+            <span class="color-swatch" style="background: ${asset.color};"></span>
+            <span class="imported-name"><span class="basket-name"></span> <span class="suggestion-code">${code}</span><br><span class="basket-composition"></span></span>
+            <button class="secondary-button" data-action="edit">✏️ Edit</button>
+            <button class="secondary-button" data-action="delete">🗑️ Remove</button>
+        `;
+        item.querySelector('.basket-name').textContent = asset.longName;
+        item.querySelector('.basket-composition').textContent = describeBasket(asset);
+        item.querySelector('[data-action="edit"]').addEventListener('click', () => editBasket(code));
+        item.querySelector('[data-action="delete"]').addEventListener('click', function() {
+            removeCustomAsset(code);
+            if (editingBasketCode === code) resetBasketForm();
+            renderBasketList();
+        });
+        list.appendChild(item);
+    }
+}
+
+// Setup Event Listeners for basket denominators
+function setupBasketListeners() {
+    const container = document.getElementById('basketComponents');
+    const rebalanceSelect = document.getElementById('basketRebalance');
+
+    for (const [value, period] of Object.entries(BASKET_REBALANCE_PERIODS)) {
+        rebalanceSelect.add(new Option(period.label, value));
+    }
+
+    document.getElementById('basketButton')?.addEventListener('click', openBasketModal);
+    document.getElementById('addBasketComponent').addEventListener('click', () => addWeightRow(container));
+    document.getElementById('cancelBasketEdit').addEventListener('click', resetBasketForm);
+    container.addEventListener('input', () => updateWeightTotal(container, document.getElementById('basketWeightTotal')));
+
+    document.getElementById('saveBasket').addEventListener('click', function() {
+        const name = document.getElementById('basketName').value.trim();
+        if (!name) {
+            alert('⚠️ Please enter a name for this basket');
+            return;
+        }
+
+        let code;
+        try {
+            code = saveBasketAsset({
+                code: editingBasketCode,
+                name: name,
+                components: readWeightRows(container),
+                rebalance: rebalanceSelect.value,
+                color: document.getElementById('basketColor').value
+            });
+        } catch (error) {
+            alert(`⚠️ ${error.message}`);
+            return;
+        }
+
+        const wasEditing = !!editingBasketCode;
+        resetBasketForm();
+        renderBasketList();
+
+        // Value the chart in a new basket right away (a portfolio keeps its denominator)
+        if (!wasEditing && !document.getElementById('portfolioMode').checked) {
+            if (document.getElementById('compareMode').checked) {
+                document.getElementById('compareDenominator').value = code;
+            } else {
+                const denominatorInput = document.getElementById('denominator1');
+                denominatorInput.value = getDenominatorName(code);
+                denominatorInput.dataset.asset = code;
+            }
+        }
+        updateChartAndCalculator();
+    });
+}
+
+// Id of the event being edited in the events modal (null when adding)
+let editingUserEventId = null;
+
+// Open the events modal, optionally prefilled (e.g. from a chart double-click)
+function openEventsModal(prefill = {}) {
+    resetUserEventForm();
+    if (prefill.date) {
+        document.getElementById('userEventDate').value = prefill.date;
+    }
+    document.getElementById('shareUserEvents').checked = isEventSharingEnabled();
+    document.getElementById('eventsModal').style.display = 'flex';
+    renderUserEventList();
+}
+
+// Clear the add/edit form back to "add" mode
+function resetUserEventForm() {
+    editingUserEventId = null;
+    document.getElementById('userEventLabel').value = '';
+    document.getElementById('userEventDate').value = '';
+    document.getElementById('userEventEndDate').value = '';
+    document.getElementById('userEventColor').value = DEFAULT_USER_EVENT_COLOR;
+    document.getElementById('saveUserEvent').textContent = '➕ Add Event';
+    document.getElementById('cancelUserEventEdit').style.display = 'none';
+}
+
+// Load an event into the form for editing
+function editUserEvent(id) {
+    const event = userEvents.find(existing => existing.id === id);
+    if (!event) return;
+
+    editingUserEventId = id;
+    document.getElementById('userEventLabel').value = event.label;
+    document.getElementById('userEventDate').value = event.date;
+    document.getElementById('userEventEndDate').value = event.endDate || '';
+    document.getElementById('userEventColor').value = event.color;
+    document.getElementById('saveUserEvent').textContent = '💾 Save Changes';
+    document.getElementById('cancelUserEventEdit').style.display = 'block';
+}
+
+// List the user's events with edit/delete buttons (labels are user text, so set via textContent)
+function renderUserEventList() {
+    const list = document.getElementById('userEventList');
+
+    list.innerHTML = '';
+    if (userEvents.length === 0) {
+        list.innerHTML = '<li class="help-text">No events yet.</li>';
+        return;
+    }
+
+    for (const event of userEvents) {
+        const item = document.createElement('li');
+        item.innerHTML = `
+            <span class="color-swatch" style="background: ${event.color};"></span>
+            <span class="imported-name"><span class="event-label"></span> <span class="event-dates">${event.date}${event.endDate ? ` → ${event.endDate}` : ''}${isLinkedEvent(event) ? ' · from link, not saved' : ''}</span></span>
+            <button class="secondary-button" data-action="edit">✏️ Edit</button>
+            <button class="secondary-button" data-action="delete">🗑️ Delete</button>
+        `;
+        item.querySelector('.event-label').textContent = event.label;
+        item.querySelector('[data-action="edit"]').addEventListener('click', () => editUserEvent(event.id));
+        item.querySelector('[data-action="delete"]').addEventListener('click', function() {
+            deleteUserEvent(event.id);
+            if (editingUserEventId === event.id) resetUserEventForm();
+            renderUserEventList();
+            updateChartAndCalculator();
+        });
+        list.appendChild(item);
+    }
+}
+
+// Setup Event Listeners for user-defined chart events
+function setupUserEventListeners() {
+    const fileInput = document.getElementById('userEventsFile');
+
+    document.getElementById('eventsButton')?.addEventListener('click', () => openEventsModal());
+
+    // Double-click the chart to add an event at that date
+    document.getElementById('main-chart')?.addEventListener('dblclick', function(e) {
+        const xScale = currentChart?.scales?.x;
+        if (!xScale || xScale.type !== 'time') return;
+
+        const date = new Date(xScale.getValueForPixel(e.offsetX));
+        if (isNaN(date)) return;
+        openEventsModal({ date: date.toISOString().slice(0, 10) });
+    });
+
+    document.getElementById('saveUserEvent').addEventListener('click', function() {
+        let event;
+        try {
+            event = normalizeUserEvent({
+                id: editingUserEventId,
+                label: document.getElementById('userEventLabel').value,
+                date: document.getElementById('userEventDate').value,
+                endDate: document.getElementById('userEventEndDate').value,
+                color: document.getElementById('userEventColor').value
+            });
+        } catch (error) {
+            alert(`⚠️ ${error.message}`);
+            return;
+        }
+
+        upsertUserEvent(event);
+        resetUserEventForm();
+        renderUserEventList();
+        updateChartAndCalculator();
+    });
+
+    document.getElementById('cancelUserEventEdit').addEventListener('click', resetUserEventForm);
+
+    document.getElementById('shareUserEvents').addEventListener('change', function() {
+        localStorage.setItem(SHARE_EVENTS_STORAGE_KEY, String(this.checked));
+        updateURL();
+    });
+
+    document.getElementById('exportUserEvents').addEventListener('click', function() {
+        if (userEvents.length === 0) {
+            alert('⚠️ There are no events to export yet');
+            return;
+        }
+        exportUserEvents();
+    });
+
+    document.getElementById('importUserEvents').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async function() {
+        const file = this.files[0];
+        if (!file) return;
+
+        try {
+            const added = mergeUserEvents(parseUserEvents(await file.text()));
+            alert(`✅ Imported ${added} new event${added === 1 ? '' : 's'} from ${file.name}`);
+            renderUserEventList();
+            updateChartAndCalculator();
+        } catch (error) {
+            alert(`⚠️ Could not import ${file.name}: ${error.message}`);
+        }
+        this.value = '';
+    });
+}
+
 // Start the application
 document.addEventListener('DOMContentLoaded', function() {
     init();
     setupSettingsListeners();
+    setupImportListeners();
+    setupFormulaListeners();
+    setupBasketListeners();
+    setupPortfolioListeners();
+    setupUserEventListeners();
+    setupExportListeners();
 });